@@ -0,0 +1,179 @@
+/* alertops-toolbar.js - Content script for AlertOps (and any other host allowed for "Open & group LP URLs").
+ * Adds a small toolbar above every alert/incident table that contains LP URLs: a URL count,
+ * per-row checkboxes, "Open all LPs" and "Open selected rows". Jobs go through OPEN_URLS like the popup's.
+ * Registered from background.js (registerContentScripts) as a classic script. URL extraction and row
+ * context run in the service worker (SCAN_TABLE), so no extension module is exposed to the page. */
+
+(async () => {
+  if (window.__supportToolkitToolbar) return;
+  window.__supportToolkitToolbar = true;
+
+  const TABLES = 'table, [role="table"], [role="grid"], [role="treegrid"]';
+  const ROWS = 'tbody tr, [role="row"]';
+  const MARK = 'data-st-lp';
+
+  const TOOLBAR_STYLE = 'display:flex;align-items:center;gap:8px;margin:6px 0;padding:6px 10px;' +
+    'font:13px -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;background:#f1f3f4;' +
+    'border:1px solid #dadce0;border-radius:6px;color:#202124;';
+  const BUTTON_STYLE = 'padding:4px 10px;border:1px solid #1a73e8;border-radius:4px;background:#1a73e8;' +
+    'color:#fff;font:inherit;cursor:pointer;';
+  const CHECKBOX_STYLE = 'margin:0 6px 0 0;vertical-align:middle;cursor:pointer;';
+
+  const unique = (list) => [...new Set(list)];
+
+  function bodyRows(table) {
+    // Header rows (th / columnheader cells) never carry LP links
+    return [...table.querySelectorAll(ROWS)]
+      .filter(r => r.closest(TABLES) === table && !r.querySelector('th, [role="columnheader"]'));
+  }
+
+  const cellTexts = (row) => [...row.querySelectorAll('th, td, [role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]')]
+    .filter(c => c.closest('tr, [role="row"]') === row)
+    .map(c => (c.innerText || c.textContent || '').replace(/\s+/g, ' ').trim());
+
+  const headerRow = (table) => [...table.querySelectorAll('tr, [role="row"]')]
+    .find(r => r.closest(TABLES) === table && r.querySelector('th, [role="columnheader"]'));
+
+  // Each row's URLs and { account, company, region }, worked out by the service worker
+  async function scanTable(table, rows) {
+    if (!rows.length) return;
+    const header = headerRow(table);
+    const toRow = (r) => ({ cells: cellTexts(r), links: [...r.querySelectorAll('a[href]')].map(a => a.getAttribute('href')) });
+    const resp = await chrome.runtime.sendMessage({
+      type: 'SCAN_TABLE',
+      rows: [...(header ? [{ ...toRow(header), header: true }] : []), ...rows.map(toRow)]
+    });
+    if (!resp?.ok) throw new Error(resp?.error || 'The extension did not respond');
+    const scanned = header ? resp.rows.slice(1) : resp.rows;
+    rows.forEach((r, i) => {
+      r.__stUrls = scanned[i]?.urls || [];
+      r.__stContext = scanned[i]?.context || {};
+    });
+  }
+
+  // url -> { account, company, region } of the rows, so the job can group by account
+  function rowContexts(rows) {
+    const contexts = {};
+    rows.forEach(r => {
+      if (Object.keys(r.__stContext || {}).length) r.__stUrls.forEach(u => { contexts[u] ||= r.__stContext; });
+    });
+    return contexts;
+  }
+
+  function openUrls(urls, contexts, status, buttons, done) {
+    if (!urls.length) return;
+    buttons.forEach(b => { b.disabled = true; });
+    status.textContent = `Opening ${urls.length} URL(s)…`;
+
+    chrome.storage.local.get(['useDelayBetweenTabs'], ({ useDelayBetweenTabs }) => {
+      chrome.runtime.sendMessage({
+        type: 'OPEN_URLS',
+        // No windowId: the background opens the tabs in this tab's window
+        payload: { urls, contexts, useDelay: !!useDelayBetweenTabs, jobId: `${Date.now()}-page`, jobType: 'lp', source: 'page' }
+      }, (resp) => {
+        buttons.forEach(b => { b.disabled = false; });
+        if (chrome.runtime.lastError || !resp) {
+          status.textContent = '⚠ The extension did not respond. Reload the page and try again.';
+        } else if (!resp.ok) {
+          status.textContent = `⚠ ${resp.error}`;
+        } else {
+          const queued = resp.batch ? ` (batch ${resp.batch.index}/${resp.batch.total}, rest queued)` : '';
+          status.textContent = `✓ Opened ${resp.counts?.new ?? resp.count} tab(s)${queued}`;
+        }
+        done();
+      });
+    });
+  }
+
+  function addToolbar(table) {
+    const toolbar = document.createElement('div');
+    toolbar.setAttribute(MARK, 'toolbar');
+    toolbar.style.cssText = TOOLBAR_STYLE;
+
+    const count = document.createElement('span');
+    const openAll = document.createElement('button');
+    const openSelected = document.createElement('button');
+    const status = document.createElement('span');
+    openAll.textContent = 'Open all LPs';
+    openSelected.textContent = 'Open selected rows';
+    [openAll, openSelected].forEach(b => { b.type = 'button'; b.style.cssText = BUTTON_STYLE; });
+    status.style.cssText = 'color:#5f6368;';
+
+    toolbar.append(count, openAll, openSelected, status);
+    table.before(toolbar);
+
+    const buttons = [openAll, openSelected];
+    const rowsWithUrls = () => bodyRows(table).filter(r => r.__stUrls?.length);
+    const selected = () => rowsWithUrls().filter(r => r.querySelector(`input[${MARK}]`)?.checked);
+
+    toolbar.refresh = () => {
+      const rows = rowsWithUrls();
+      const total = unique(rows.flatMap(r => r.__stUrls)).length;
+      const picked = selected();
+      count.textContent = `🔗 ${total} LP URL(s) in ${rows.length} row(s)`;
+      openSelected.textContent = picked.length ? `Open selected rows (${picked.length})` : 'Open selected rows';
+      openSelected.disabled = !picked.length;
+      openSelected.style.opacity = picked.length ? '1' : '.5';
+    };
+
+    const open = (rows) => openUrls(unique(rows.flatMap(r => r.__stUrls)), rowContexts(rows), status, buttons, toolbar.refresh);
+    openAll.addEventListener('click', () => open(rowsWithUrls()));
+    openSelected.addEventListener('click', () => open(selected()));
+    return toolbar;
+  }
+
+  function addCheckbox(row, toolbar) {
+    const cell = row.querySelector('td, [role="cell"], [role="gridcell"]');
+    if (!cell) return;
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.setAttribute(MARK, 'row');
+    box.title = `${row.__stUrls.length} LP URL(s)`;
+    box.style.cssText = CHECKBOX_STYLE;
+    // Rows are often clickable (open the alert); ticking the box must not
+    box.addEventListener('click', (e) => e.stopPropagation());
+    box.addEventListener('change', () => toolbar.refresh());
+    cell.prepend(box);
+  }
+
+  async function scan() {
+    for (const table of document.querySelectorAll(TABLES)) {
+      // Nested grids are handled through their outermost table
+      if (table.parentElement?.closest(TABLES)) continue;
+
+      const rows = bodyRows(table);
+      await scanTable(table, rows);
+      const hasUrls = rows.some(r => r.__stUrls.length);
+
+      let toolbar = table.previousElementSibling?.getAttribute(MARK) === 'toolbar' ? table.previousElementSibling : null;
+      if (!hasUrls) {
+        toolbar?.remove();
+        continue;
+      }
+      toolbar ||= addToolbar(table);
+      rows.filter(r => r.__stUrls.length && !r.querySelector(`input[${MARK}]`)).forEach(r => addCheckbox(r, toolbar));
+      toolbar.refresh();
+    }
+  }
+
+  // AlertOps renders its tables client-side and re-renders them on paging/filtering
+  let timer = null;
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => scan().catch(e => console.warn('[Support Toolkit] Toolbar scan failed', e)), 400);
+  };
+
+  new MutationObserver((mutations) => {
+    // Changes to our own toolbar and checkboxes do not need a rescan (the toolbar text would loop)
+    const ours = (m) => {
+      const target = m.target.nodeType === 1 ? m.target : m.target.parentElement;
+      if (target?.closest(`[${MARK}]`)) return true;
+      const nodes = [...m.addedNodes, ...m.removedNodes];
+      return m.type === 'childList' && nodes.length > 0 && nodes.every(n => n.nodeType === 1 && n.hasAttribute(MARK));
+    };
+    if (mutations.every(ours)) return;
+    schedule();
+  }).observe(document.body, { childList: true, subtree: true, characterData: true });
+
+  schedule();
+})();
@@ -3,16 +3,36 @@ import {
   extractAll,
   extractUrlsFromHtml,
   extractIdomooMp4s, // Added import
-  unique,
-  parseCompanyCount,
-  parseVersionErrorCount,
-  rowsToTSV,
-  tableToHTML,
-  pad2,
-  MAX_TABS_PER_JOB
+  unique
 } from './utils.js';
 
-import { processUrlJob, cancelJob, getRunningJobIds } from './job-processor.js';
+import { cancelJob, getRunningJobIds, getJobSnapshots, resumeInterruptedJobs, onJobEvent, onJobFinished } from './job-processor.js';
+import { recordJob } from './job-history.js';
+import { parsePreset, parsePresetRows, describeIssues } from './grafana-parser.js';
+import { captureSelectedTable, captureSelectionHtml, insertIntoGmailCompose } from './page-capture.js';
+import { composeReport } from './report-composer.js';
+import { runUrlJob, openNextBatch, handleGroupClosed, getQueueStatus, clearQueue } from './batch-queue.js';
+import { getUrlRules, getJobSettingsFor, getReportSettings, getReportTemplate, getTitleSettings, getExportFormats, getPipelineSettings, getTableStyle, getSiteHosts } from './settings.js';
+import { applyPipeline, mediaErrorsTable } from './table-pipeline.js';
+import { formatReportTitle, titleTokens } from './report-title.js';
+import {
+  saveReport,
+  getReport,
+  previousReportDate,
+  compareReports,
+  statusRowStyles,
+  summarizeComparison,
+  formatDateKey,
+  saveLatestTable,
+  getLatestTables,
+  REPORT_TABLES
+} from './daily-reports.js';
+import { renderExport, formatLabel } from './export-formats.js';
+import { tableCaption } from './table-themes.js';
+import { SITE_COMMANDS, isUrlAllowed, describeHosts, hostOrigins } from './site-access.js';
+import { openReviewGrid } from './black-frame-review.js';
+import { describeDetection } from './black-frame-detect.js';
+import { contextsFromRows, contextsFromText, scanRows } from './url-context.js';
 
 // Show notification helper with custom titles and messages
 function showNotification(title, message) {
@@ -25,13 +45,75 @@ function showNotification(title, message) {
   });
 }
 
-// 1. Message Listeners (Popup Communication)
+// 0. Keep a history of finished jobs (reopen / copy / undo from the popup)
+onJobFinished((result, job) => {
+  recordJob(result, job).catch(e => console.warn("Recording job history failed:", e));
+});
+
+// Resume jobs that were cut short when Chrome suspended the previous service worker
+resumeInterruptedJobs().catch(e => console.error("Resume failed:", e));
+
+// 0b. The in-page AlertOps toolbar runs on the hosts allowed for "Open & group LP URLs".
+// Registered scripts survive browser restarts but not extension updates, and follow the host list.
+const TOOLBAR_SCRIPT_ID = "alertops-toolbar";
+
+async function syncToolbarScript() {
+  const { "open-lp-urls": hosts } = await getSiteHosts();
+  const script = { id: TOOLBAR_SCRIPT_ID, js: ["alertops-toolbar.js"], matches: hostOrigins(hosts), runAt: "document_idle" };
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [TOOLBAR_SCRIPT_ID] });
+  if (registered.length) await chrome.scripting.updateContentScripts([script]);
+  else await chrome.scripting.registerContentScripts([script]);
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  syncToolbarScript().catch(e => console.error("Toolbar registration failed:", e));
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.siteHosts) {
+    syncToolbarScript().catch(e => console.error("Toolbar registration failed:", e));
+  }
+});
+
+// 1a. Progress Streaming: popups connect a "job-progress" port and get a snapshot of every
+// unfinished job followed by live started/progress/retry/skipped/finished events
+const progressPorts = new Set();
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "job-progress") return;
+  progressPorts.add(port);
+  port.onDisconnect.addListener(() => progressPorts.delete(port));
+
+  port.onMessage.addListener(async (msg) => {
+    if (msg?.type === "STOP_OPEN") {
+      const ok = await cancelJob(msg.jobId);
+      port.postMessage({ type: "stop-result", jobId: msg.jobId, ok });
+    }
+  });
+
+  Promise.all([getJobSnapshots(), getQueueStatus()]).then(([jobs, queue]) => {
+    port.postMessage({ type: "snapshot", jobs, queue });
+  });
+});
+
+onJobEvent((event) => {
+  for (const port of progressPorts) {
+    try {
+      port.postMessage(event);
+    } catch (e) {
+      progressPorts.delete(port);
+    }
+  }
+});
+
+// 1b. Message Listeners (Popup Communication)
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg?.type === "OPEN_URLS") {
     (async () => {
       try {
-        // Pass payload directly which includes groupTitle/Color
-        const result = await processUrlJob(msg.payload);
+        // Pass payload directly which includes jobType (and optional groupTitle/Color overrides).
+        // The in-page toolbar does not know its window, so it defaults to the sender's.
+        const result = await runUrlJob({ ...msg.payload, windowId: msg.payload.windowId ?? sender.tab?.windowId });
         sendResponse({ ok: true, ...result });
       } catch (e) {
         console.error(e);
@@ -41,166 +123,378 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true;
   }
 
+  // The in-page toolbar sends its table rows here, so the extraction code is not exposed to pages
+  if (msg?.type === "SCAN_TABLE") {
+    getUrlRules()
+      .then(rules => sendResponse({ ok: true, rows: scanRows(msg.rows || [], rules) }))
+      .catch(e => sendResponse({ ok: false, error: e?.message || String(e) }));
+    return true;
+  }
+
   if (msg?.type === "STOP_OPEN") {
-    const success = cancelJob(msg.jobId);
-    if (success) sendResponse({ ok: true, message: "Cancellation requested." });
-    else sendResponse({ ok: false, error: "No running job found." });
+    cancelJob(msg.jobId).then(success => {
+      if (success) sendResponse({ ok: true, message: "Cancellation requested." });
+      else sendResponse({ ok: false, error: "No running job found." });
+    });
+    return true;
+  }
+
+  if (msg?.type === "COMPOSE_REPORT") {
+    (async () => {
+      try {
+        const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        sendResponse(await composeDailyReport(tab));
+      } catch (e) {
+        console.error(e);
+        sendResponse({ ok: false, error: e?.message || String(e) });
+      }
+    })();
     return true;
   }
 
   if (msg?.type === "JOB_STATUS") {
-    const ids = getRunningJobIds();
-    sendResponse({ ok: true, running: ids.length > 0, jobIds: ids });
+    getRunningJobIds().then(ids => sendResponse({ ok: true, running: ids.length > 0, jobIds: ids }));
+    return true;
+  }
+
+  if (msg?.type === "QUEUE_STATUS") {
+    getQueueStatus().then(queue => sendResponse({ ok: true, queue }));
+    return true;
+  }
+
+  if (msg?.type === "NEXT_BATCH") {
+    (async () => {
+      try {
+        const result = await openNextBatch();
+        if (!result) sendResponse({ ok: false, error: "No batches are waiting." });
+        else sendResponse({ ok: true, ...result });
+      } catch (e) {
+        console.error(e);
+        sendResponse({ ok: false, error: e?.message || String(e) });
+      }
+    })();
+    return true;
+  }
+
+  if (msg?.type === "CLEAR_QUEUE") {
+    clearQueue().then(cleared => sendResponse({ ok: cleared }));
     return true;
   }
 });
 
+// Closing the group of the current batch opens the next one (when auto-advance is on)
+chrome.tabGroups.onRemoved.addListener(async (group) => {
+  try {
+    const result = await handleGroupClosed(group.id);
+    if (result) {
+      const { index, total } = result.batch;
+      showNotification('Next Batch', `Opened batch ${index}/${total} (${result.count} tabs).`);
+    }
+  } catch (e) {
+    console.error("Batch advance failed:", e);
+    showNotification('Batch Error', e?.message || String(e));
+  }
+});
+
+// Success text for shortcut jobs, mentioning the batch queue when the list was split
+function describeJobResult(result, what) {
+  const { new: opened = result.count, reused = 0, skipped = 0 } = result.counts || {};
+  const dedupe = reused || skipped ? ` (${reused} reused, ${skipped} already open)` : '';
+  const detection = result.blackFrameReport ? ` ${describeDetection(result.blackFrameReport)}.` : '';
+  const accounts = result.groups?.length > 1 ? ` Grouped by account: ${result.groupTitle}.` : '';
+  if (!result.batch) return `Opened ${opened} ${what}${dedupe}.${accounts}${detection}`;
+  const { index, total, remainingUrls } = result.batch;
+  return `Opened batch ${index}/${total} (${opened} ${what}${dedupe}).${detection} ${remainingUrls} more queued — close the group or use "Next batch" in the popup.`;
+}
+
 // 2. Command Listeners (Keyboard Shortcuts)
 chrome.commands.onCommand.addListener(async (command) => {
   try {
     const [currentTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!currentTab?.id || !currentTab?.url) return;
-
-    const currentUrl = currentTab.url;
-
-    // --- SHORTCUT: Open URLs (Restricted to AlertOps) ---
-    if (command === "open-lp-urls") {
-      if (!currentUrl.includes("app.alertops.com")) {
-        return showNotification('Invalid Site', 'The "Open URLs" shortcut only works on app.alertops.com.');
-      }
+    await runCommand(command, currentTab);
+  } catch (error) {
+    console.error("Shortcut Error:", error);
+    showNotification('System Error', 'An unexpected error occurred while processing the shortcut.');
+  }
+});
 
-      const injected = await chrome.scripting.executeScript({
-        target: { tabId: currentTab.id, allFrames: true },
-        func: () => {
-          const sel = window.getSelection();
-          if (!sel || sel.rangeCount === 0 || !sel.toString().trim()) return null;
-
-          const range = sel.getRangeAt(0).cloneContents();
-          const div = document.createElement("div");
-          div.appendChild(range);
-
-          let node = sel.getRangeAt(0).commonAncestorContainer;
-          if (node?.nodeType === Node.TEXT_NODE) node = node.parentElement;
-          const table = (node instanceof Element) ? node.closest("table") : null;
-
-          return {
-            text: sel.toString(),
-            html: div.innerHTML,
-            tableHtml: table ? table.outerHTML : ""
-          };
-        }
-      }).catch(() => null);
+// 3. Context Menus: the same actions on a selection or a link. A link is used as the text to
+// extract from; everything else reads the page selection like the shortcuts do.
+const CONTEXT_MENU_ITEMS = [
+  { id: "open-lp-urls", title: "Open & group LP URLs", contexts: ["selection", "link"] },
+  { id: "open-black-frames", title: "Open Black Frames", contexts: ["selection", "link"] },
+  { id: "format-company-batch", title: "Format as Company/Count", contexts: ["selection"] },
+  { id: "format-media-errors", title: "Format as Media Errors", contexts: ["selection"] },
+  { id: "copy-urls", title: "Copy extracted URLs", contexts: ["selection", "link"] }
+];
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    CONTEXT_MENU_ITEMS.forEach(item => chrome.contextMenus.create(item));
+  });
+});
 
-      const picked = injected?.map(r => r.result).find(r => r);
-      if (!picked) {
-        return showNotification('No Selection', 'Please select text containing URLs in AlertOps first.');
-      }
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  try {
+    await runCommand(info.menuItemId, tab, {
+      linkUrl: info.linkUrl || "",
+      selectionText: info.selectionText || "",
+      source: "contextMenu"
+    });
+  } catch (error) {
+    console.error("Context Menu Error:", error);
+    showNotification('System Error', 'An unexpected error occurred while processing the menu action.');
+  }
+});
 
-      const urlsFromHtml = extractUrlsFromHtml(picked.tableHtml || picked.html || "");
-      const urlsFromText = extractAll(picked.text || "");
-      const urls = unique([...urlsFromHtml, ...urlsFromText]);
+// One handler per action, shared by the shortcuts and the context menu. `linkUrl` and
+// `selectionText` come from the context menu; shortcuts read the selection from the page.
+async function runCommand(command, currentTab, { linkUrl = "", selectionText = "", source = "shortcut" } = {}) {
+  if (!currentTab?.id || !currentTab?.url) return;
 
-      if (!urls.length) return showNotification('No URLs Found', 'No valid LP URLs were found in your selection.');
-      if (urls.length > MAX_TABS_PER_JOB) return showNotification('Limit Exceeded', `Found ${urls.length} URLs. Max allowed is ${MAX_TABS_PER_JOB}.`);
+  const currentUrl = currentTab.url;
 
-      const jobId = `${Date.now()}-shortcut`;
-      const { useDelayBetweenTabs } = await chrome.storage.local.get(['useDelayBetweenTabs']);
+  // --- SHORTCUT: Open URLs (Restricted to AlertOps) ---
+  if (command === "open-lp-urls") {
+    const blocked = await siteError(command, currentUrl);
+    if (blocked) return showNotification(blocked.title, blocked.message);
 
-      showNotification('Processing', `Opening ${urls.length} tab(s) in a new group...`);
-      await processUrlJob({ urls, windowId: currentTab.windowId, delayMs: useDelayBetweenTabs ? 1000 : 0, jobId });
-      showNotification('Success', `Finished opening ${urls.length} tabs.`);
+    const picked = await getSelectionSource(currentTab.id, { linkUrl, selectionText });
+    if (!picked) {
+      return showNotification('No Selection', 'Please select text containing URLs in AlertOps first.');
+    }
 
-      // --- NEW SHORTCUT: Open Black Frames (Global/Any text) ---
-    } else if (command === "open-black-frames") {
+    const urlRules = await getUrlRules();
+    const urls = extractLpUrls(picked, urlRules);
 
-      const text = await getSelectionText(currentTab.id);
-      if (!text) return showNotification('No Selection', 'Please select text containing black frame videos first.');
+    if (!urls.length) return showNotification('No URLs Found', 'No valid LP URLs were found in your selection.');
+    const { maxTabs, chunkLargeJobs } = await getJobSettingsFor("lp");
+    if (urls.length > maxTabs && !chunkLargeJobs) return showNotification('Limit Exceeded', `Found ${urls.length} URLs. Max allowed is ${maxTabs}.`);
+    if (urls.length > maxTabs && await getQueueStatus()) return showNotification('Batch Queue Pending', 'Open or discard the remaining batches from the popup first.');
 
-      const urls = extractIdomooMp4s(text);
+    const jobId = `${Date.now()}-${source}`;
+    const { useDelayBetweenTabs } = await chrome.storage.local.get(['useDelayBetweenTabs']);
 
-      if (!urls.length) return showNotification('No MP4s Found', 'No black frame video links were found in selection.');
-      if (urls.length > MAX_TABS_PER_JOB) return showNotification('Limit Exceeded', `Found ${urls.length} URLs. Max allowed is ${MAX_TABS_PER_JOB}.`);
+    showNotification('Processing', `Opening ${Math.min(urls.length, maxTabs)} tab(s) in a new group...`);
+    const contexts = selectionContexts(picked, urls, urlRules);
+    const result = await runUrlJob({ urls, windowId: currentTab.windowId, useDelay: !!useDelayBetweenTabs, jobId, jobType: "lp", source, contexts });
+    showNotification('Success', describeJobResult(result, 'tabs'));
 
-      const jobId = `${Date.now()}-bf-shortcut`;
-      const { useDelayBetweenTabs } = await chrome.storage.local.get(['useDelayBetweenTabs']);
+    // --- NEW SHORTCUT: Open Black Frames (Global/Any text) ---
+  } else if (command === "open-black-frames") {
 
-      showNotification('Processing', `Opening ${urls.length} Black Frames...`);
-      // Use "grey" color for Black Frames group
-      await processUrlJob({
-        urls,
-        windowId: currentTab.windowId,
-        delayMs: useDelayBetweenTabs ? 1000 : 0,
-        jobId,
-        groupTitle: "Black Frames",
-        groupColor: "grey"
-      });
-      showNotification('Success', `Opened ${urls.length} Black Frame videos.`);
+    const text = linkUrl || await getSelectionText(currentTab.id) || selectionText;
+    if (!text) return showNotification('No Selection', 'Please select text containing black frame videos first.');
 
+    const urlRules = await getUrlRules();
+    const urls = extractIdomooMp4s(text, urlRules);
 
-      // --- SHORTCUT: Format Company Batch (Restricted to Grafana) ---
-    } else if (command === "format-company-batch") {
-      if (!currentUrl.includes("grafana.net")) {
-        return showNotification('Invalid Site', 'Company Batch formatting only works on idomoo.grafana.net.');
-      }
+    if (!urls.length) return showNotification('No MP4s Found', 'No black frame video links were found in selection.');
+    const { maxTabs, chunkLargeJobs, reviewGrid } = await getJobSettingsFor("blackFrames");
+    if (reviewGrid) {
+      await openReviewGrid(urls, currentTab.windowId);
+      return showNotification('Review Grid', `Opened ${urls.length} Black Frame video(s) in the review grid.`);
+    }
+    if (urls.length > maxTabs && !chunkLargeJobs) return showNotification('Limit Exceeded', `Found ${urls.length} URLs. Max allowed is ${maxTabs}.`);
+    if (urls.length > maxTabs && await getQueueStatus()) return showNotification('Batch Queue Pending', 'Open or discard the remaining batches from the popup first.');
+
+    const jobId = `${Date.now()}-bf-${source}`;
+    const { useDelayBetweenTabs } = await chrome.storage.local.get(['useDelayBetweenTabs']);
+
+    showNotification('Processing', `Opening ${Math.min(urls.length, maxTabs)} Black Frames...`);
+    // Title and color come from the Black Frames job settings
+    const result = await runUrlJob({
+      urls,
+      windowId: currentTab.windowId,
+      useDelay: !!useDelayBetweenTabs,
+      jobId,
+      jobType: "blackFrames",
+      source,
+      // MP4 lines often start with "EU:Account…"
+      contexts: contextsFromText(text, urls, urlRules)
+    });
+    showNotification('Success', describeJobResult(result, 'Black Frame videos'));
+
+    // --- CONTEXT MENU: Copy extracted URLs (any site) ---
+  } else if (command === "copy-urls") {
+    const picked = await getSelectionSource(currentTab.id, { linkUrl, selectionText });
+    if (!picked) return showNotification('No Selection', 'Please select text containing URLs first.');
+
+    const urlRules = await getUrlRules();
+    const urls = unique([...extractLpUrls(picked, urlRules), ...extractIdomooMp4s(picked.text || "", urlRules)]);
+    if (!urls.length) return showNotification('No URLs Found', 'No LP or Black Frame URLs were found in your selection.');
+
+    await writeToClipboard(currentTab.id, urls.join("\n"));
+    showNotification('Copied', `✓ Copied ${urls.length} URL(s) to the clipboard.`);
+
+    // --- SHORTCUT: Format Company Batch (Restricted to Grafana) ---
+  } else if (command === "format-company-batch") {
+    const blocked = await siteError(command, currentUrl);
+    if (blocked) return showNotification(blocked.title, blocked.message);
+
+    const selection = await getSelectionTable(currentTab.id) || (selectionText ? { text: selectionText, rows: null } : null);
+    if (!selection) return showNotification('No Selection', 'Please select the Grafana table text to format.');
+
+    const { rows: parsed, issues } = parseSelectedTable(selection, "companyCount");
+    if (!parsed.length) return showNotification('Parse Error', 'Selected text does not match the expected Company/Count format.');
+
+    // Stored by date; compared with the latest earlier report when there is one.
+    // Top-N and total rows only apply to the plain table (a comparison lists every company).
+    const { companyCount: pipeline } = await getPipelineSettings();
+    const rows = applyPipeline(parsed, "companyCount", pipeline, { rollups: false });
+    await saveReport(rows);
+    const { companyCount: format } = await getExportFormats();
+    const { tableStyle, caption } = await tableExportOptions("companyCount");
+    const warning = issues.length ? `\n⚠ ${describeIssues(issues)}` : '';
+    const previousDate = await previousReportDate();
+    if (previousDate) {
+      const previous = await getReport(previousDate);
+      const comparison = compareReports(rows, previous.rows, await getReportSettings());
+      const rowStyles = statusRowStyles(comparison.statuses);
+      await writeExport(currentTab.id, renderExport(format, comparison.headers, comparison.rows, { headerRow: true, rowStyles, tableStyle, caption }));
+      await saveLatestTable("companyCount", { headers: comparison.headers, rows: comparison.rows, rowStyles });
+      showNotification('Formatted', `✓ ${rows.length} rows copied as ${formatLabel(format)} vs ${formatDateKey(previousDate)}: ${summarizeComparison(comparison.statuses)}.${warning}`);
+    } else {
+      const finalRows = applyPipeline(rows, "companyCount", pipeline);
+      const headers = tableStyle.headers.companyCount;
+      await writeExport(currentTab.id, renderExport(format, headers, finalRows, { headerRow: tableStyle.headerRow, tableStyle, caption }));
+      await saveLatestTable("companyCount", { headers, rows: finalRows });
+      showNotification('Formatted', `✓ ${rows.length} rows copied as ${formatLabel(format)}.${warning}`);
+    }
 
-      const text = await getSelectionText(currentTab.id);
-      if (!text) return showNotification('No Selection', 'Please select the Grafana table text to format.');
+    // --- SHORTCUT: Format Media Errors (Restricted to Grafana) ---
+  } else if (command === "format-media-errors") {
+    const blocked = await siteError(command, currentUrl);
+    if (blocked) return showNotification(blocked.title, blocked.message);
+
+    const selection = await getSelectionTable(currentTab.id) || (selectionText ? { text: selectionText, rows: null } : null);
+    if (!selection) return showNotification('No Selection', 'Please select the Grafana error table text to format.');
+
+    const { rows: rowsVEC, issues } = parseSelectedTable(selection, "versionErrorCount");
+    if (!rowsVEC.length) return showNotification('Parse Error', 'Selected text does not match the expected Media Error format.');
+
+    const { mediaErrors: pipeline } = await getPipelineSettings();
+    const table = mediaErrorsTable(rowsVEC, pipeline);
+    const { mediaErrors: format } = await getExportFormats();
+    const { tableStyle, caption } = await tableExportOptions("mediaErrors");
+    // The pivot's version columns only exist in its own headers, so it always keeps them
+    const headers = table.pivot ? table.headers : tableStyle.headers.mediaErrors;
+    const headerRow = table.pivot || tableStyle.headerRow;
+    await writeExport(currentTab.id, renderExport(format, headers, table.rows, { headerRow, tableStyle, caption }));
+    await saveLatestTable("mediaErrors", { headers, rows: table.rows });
+    const warning = issues.length ? `\n⚠ ${describeIssues(issues)}` : '';
+    showNotification('Formatted', `✓ ${table.rows.length} rows copied as ${formatLabel(format)}.${warning}`);
+
+    // --- SHORTCUT: Compose Daily Report (Restricted to Gmail) ---
+  } else if (command === "compose-daily-report") {
+    const result = await composeDailyReport(currentTab);
+    if (!result.ok) return showNotification(result.title || 'Compose Failed', result.error);
+    showNotification('Daily Report Inserted', result.message);
+
+    // --- SHORTCUT: Paste Daily Report (Restricted to Gmail) ---
+  } else if (command === "copy-daily-report") {
+    const blocked = await siteError(command, currentUrl);
+    if (blocked) return showNotification(blocked.title, blocked.message);
+
+    const dateText = formatReportTitle(await getTitleSettings());
+
+    await chrome.scripting.executeScript({
+      target: { tabId: currentTab.id },
+      func: (t) => {
+        const success = document.execCommand("insertText", false, t);
+        if (!success) {
+          const activeEl = document.activeElement;
+          if (activeEl && (activeEl.contentEditable === 'true' || activeEl.tagName === 'TEXTAREA')) {
+            activeEl.innerText += t;
+          }
+        }
+      },
+      args: [dateText]
+    });
 
-      const rows = parseCompanyCount(text);
-      if (!rows.length) return showNotification('Parse Error', 'Selected text does not match the expected Company/Count format.');
+    showNotification("Success", `✓ Inserted current date into Gmail.`);
+  }
+}
 
-      await writeToClipboard(currentTab.id, rowsToTSV([], rows));
-      showNotification('Formatted', `✓ ${rows.length} rows copied as TSV for spreadsheets.`);
+// Daily Report composer, shared by the shortcut and the popup button: template + today's
+// formatted tables, inserted into the Gmail compose window of `tab`
+async function composeDailyReport(tab) {
+  if (!tab?.id) return { ok: false, title: 'Invalid Site', error: 'Open a Gmail compose window first.' };
+  const blocked = await siteError("compose-daily-report", tab.url);
+  if (blocked) return { ok: false, title: blocked.title, error: blocked.message };
+
+  const [template, tables, titleSettings, tableStyle] = await Promise.all([
+    getReportTemplate(), getLatestTables(), getTitleSettings(), getTableStyle()
+  ]);
+  const { html, text, missing } = composeReport(template, {
+    tables,
+    title: formatReportTitle(titleSettings),
+    reportDate: titleTokens(titleSettings).reportDate,
+    tableStyle
+  });
 
-      // --- SHORTCUT: Format Media Errors (Restricted to Grafana) ---
-    } else if (command === "format-media-errors") {
-      if (!currentUrl.includes("grafana.net")) {
-        return showNotification('Invalid Site', 'Media Error formatting only works on idomoo.grafana.net.');
-      }
+  const results = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: insertIntoGmailCompose,
+    args: [html, text]
+  }).catch(() => null);
+  if (!results?.[0]?.result) {
+    return { ok: false, title: 'No Compose Window', error: 'Open a Gmail compose window (or click into one) and try again.' };
+  }
 
-      const text = await getSelectionText(currentTab.id);
-      if (!text) return showNotification('No Selection', 'Please select the Grafana error table text to format.');
+  const placeholders = missing.length ? ` Placeholders for: ${missing.map(t => REPORT_TABLES[t]).join(", ")}.` : '';
+  return { ok: true, missing, message: `✓ Report inserted.${placeholders}` };
+}
 
-      const rowsVEC = parseVersionErrorCount(text);
-      if (!rowsVEC.length) return showNotification('Parse Error', 'Selected text does not match the expected Media Error format.');
+// Table style settings plus the caption ("Company Batch Counts – 31.05.24") for a formatter's HTML output
+async function tableExportOptions(type) {
+  const [tableStyle, titleSettings] = await Promise.all([getTableStyle(), getTitleSettings()]);
+  return { tableStyle, caption: tableCaption(type, titleTokens(titleSettings).reportDate) };
+}
 
-      const finalRows = rowsVEC.map(([version, error, count]) => [error, version, count]);
-      await writeToClipboardHTML(currentTab.id, tableToHTML([], finalRows), rowsToTSV([], finalRows));
-      showNotification('Formatted', `✓ ${finalRows.length} rows copied (HTML Table + TSV).`);
+// Site restriction of a command (see site-access.js): the tab must be on one of its allowed hosts,
+// and hosts added in Options must have been granted before scripts can run there.
+// Returns null when the command may run, otherwise { title, message } for the notification.
+async function siteError(command, url) {
+  const hosts = (await getSiteHosts())[command];
+  if (!hosts) return null;
+  if (!isUrlAllowed(url, hosts)) {
+    return { title: 'Invalid Site', message: `"${SITE_COMMANDS[command]}" only works on ${describeHosts(hosts)}.` };
+  }
+  const { origin, hostname } = new URL(url);
+  const granted = await chrome.permissions.contains({ origins: [`${origin}/*`] }).catch(() => false);
+  if (!granted) {
+    return { title: 'Permission Needed', message: `Grant access to ${hostname} under Site Access on the Options page first.` };
+  }
+  return null;
+}
 
-      // --- SHORTCUT: Paste Daily Report (Restricted to Gmail) ---
-    } else if (command === "copy-daily-report") {
-      if (!currentUrl.includes("mail.google.com")) {
-        return showNotification('Invalid Site', 'The Daily Report shortcut only works within Gmail.');
-      }
+// Helpers for Shortcuts to safely capture text
 
-      const d = new Date();
-      const dateText = `Daily Report ${pad2(d.getDate())}.${pad2(d.getMonth() + 1)}.${pad2(d.getFullYear() % 100)} ${d.toLocaleDateString("en-US", { weekday: "long" })}`;
-
-      await chrome.scripting.executeScript({
-        target: { tabId: currentTab.id },
-        func: (t) => {
-          const success = document.execCommand("insertText", false, t);
-          if (!success) {
-            const activeEl = document.activeElement;
-            if (activeEl && (activeEl.contentEditable === 'true' || activeEl.tagName === 'TEXTAREA')) {
-              activeEl.innerText += t;
-            }
-          }
-        },
-        args: [dateText]
-      });
+// What to extract URLs from: the clicked link, else the page selection with its HTML (any frame),
+// else the plain selection text the context menu passed along
+async function getSelectionSource(tabId, { linkUrl = "", selectionText = "" } = {}) {
+  if (linkUrl) return { text: linkUrl, html: "", tableHtml: "" };
+  const injected = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: captureSelectionHtml
+  }).catch(() => null);
+  const picked = injected?.map(r => r.result).find(r => r);
+  return picked || (selectionText ? { text: selectionText, html: "", tableHtml: "" } : null);
+}
 
-      showNotification("Success", `✓ Inserted current date into Gmail.`);
-    }
+function extractLpUrls(picked, urlRules) {
+  const urlsFromHtml = extractUrlsFromHtml(picked.tableHtml || picked.html || "", urlRules);
+  const urlsFromText = extractAll(picked.text || "", urlRules);
+  return unique([...urlsFromHtml, ...urlsFromText]);
+}
 
-  } catch (error) {
-    console.error("Shortcut Error:", error);
-    showNotification('System Error', 'An unexpected error occurred while processing the shortcut.');
-  }
-});
+// Account/company/region per URL: the captured table rows when there are any, else the text lines
+function selectionContexts(picked, urls, urlRules) {
+  const fromRows = picked.tableRows?.length ? contextsFromRows(picked.tableRows, urls, urlRules) : {};
+  return { ...contextsFromText(picked.text || "", urls, urlRules), ...fromRows };
+}
 
-// Helpers for Shortcuts to safely capture text
 async function getSelectionText(tabId) {
   const results = await chrome.scripting.executeScript({
     target: { tabId },
@@ -212,6 +506,30 @@ async function getSelectionText(tabId) {
   return results?.[0]?.result || null;
 }
 
+// Selection plus the rows/cells of the table it sits in (null rows when it is not in a table)
+async function getSelectionTable(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: captureSelectedTable
+  }).catch(() => null);
+  return results?.[0]?.result || null;
+}
+
+// Prefer the table's real cell structure; fall back to parsing the copied text
+function parseSelectedTable({ text, rows }, presetKey) {
+  if (rows?.length) {
+    const parsed = parsePresetRows(rows, presetKey);
+    if (parsed.rows.length) return parsed;
+  }
+  return parsePreset(text, presetKey);
+}
+
+// Output of renderExport: text only, or HTML with a plain-text flavor
+async function writeExport(tabId, { text, html }) {
+  if (html) await writeToClipboardHTML(tabId, html, text);
+  else await writeToClipboard(tabId, text);
+}
+
 async function writeToClipboard(tabId, text) {
   await chrome.scripting.executeScript({
     target: { tabId },
@@ -0,0 +1,168 @@
+/* batch-queue.js - Splits large URL sets into batches and opens them one group at a time */
+
+import { processUrlJob, onJobFinished } from './job-processor.js';
+import { getJobSettingsFor, formatGroupTitle } from './settings.js';
+
+const QUEUE_KEY = 'batchQueue';
+
+async function loadQueue() {
+    const { [QUEUE_KEY]: queue } = await chrome.storage.local.get([QUEUE_KEY]);
+    return queue || null;
+}
+
+async function saveQueue(queue) {
+    if (queue) await chrome.storage.local.set({ [QUEUE_KEY]: queue });
+    else await chrome.storage.local.remove(QUEUE_KEY);
+}
+
+export function chunk(arr, size) {
+    const out = [];
+    for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+    return out;
+}
+
+// "Failed LP" -> "Failed LP (2/3)", unless the template already places {batch}/{batches} itself
+function batchTitle(template, { count, batch, batches }) {
+    const withBatch = /\{batch\}/.test(template) ? template : `${template} ({batch}/{batches})`;
+    return formatGroupTitle(withBatch, { count, batch, batches });
+}
+
+// The queue remembers its window, but the user may have closed it since
+async function resolveWindowId(windowId) {
+    try {
+        await chrome.windows.get(windowId);
+        return windowId;
+    } catch (e) {
+        const win = await chrome.windows.getLastFocused();
+        return win.id;
+    }
+}
+
+async function openBatch(queue) {
+    const settings = await getJobSettingsFor(queue.jobType);
+    const index = queue.next;
+    const urls = queue.batches[index];
+
+    queue.windowId = await resolveWindowId(queue.windowId);
+    queue.next = index + 1;
+    queue.activeGroupIds = [];
+    await saveQueue(queue);
+
+    let result;
+    try {
+        result = await processUrlJob({
+            urls,
+            windowId: queue.windowId,
+            // The first batch keeps the caller's jobId so STOP_OPEN from the popup still reaches it
+            jobId: index === 0 ? queue.id : `${queue.id}-batch${index + 1}`,
+            jobType: queue.jobType,
+            useDelay: queue.useDelay,
+            source: index === 0 ? queue.source : "batch",
+            groupTitle: batchTitle(settings.groupTitle, { count: urls.length, batch: index + 1, batches: queue.batches.length }),
+            contexts: queue.contexts || null,
+            forcedUrls: (queue.forcedUrls || []).filter(u => urls.includes(u)),
+            meta: { queueId: queue.id, batchIndex: index }
+        });
+    } catch (e) {
+        // Put the batch back so it can be retried with "next batch"
+        queue.next = index;
+        await saveQueue(queue);
+        throw e;
+    }
+
+    await recordBatchResult(queue.id, result);
+    return { ...result, batch: describe(queue, index + 1) };
+}
+
+// Remember the group(s) of the batch that just opened (or drop the queue after the last one).
+// Idempotent: it runs after openBatch and again from onJobFinished, which is the only path
+// that sees a batch finishing after the service worker restarted mid-job.
+async function recordBatchResult(queueId, result) {
+    const queue = await loadQueue();
+    if (!queue || queue.id !== queueId) return;
+
+    if (queue.next >= queue.batches.length) {
+        await saveQueue(null);
+    } else {
+        queue.activeGroupIds = result.groupIds?.length ? result.groupIds : [result.groupId].filter(id => id != null);
+        await saveQueue(queue);
+    }
+}
+
+onJobFinished((result, job) => {
+    if (job.meta?.queueId) recordBatchResult(job.meta.queueId, result);
+});
+
+function describe(queue, opened = queue.next) {
+    const remaining = queue.batches.slice(queue.next);
+    return {
+        index: opened,
+        total: queue.batches.length,
+        jobType: queue.jobType,
+        remainingBatches: remaining.length,
+        remainingUrls: remaining.reduce((n, b) => n + b.length, 0)
+    };
+}
+
+// Entry point for OPEN_URLS and the shortcuts: small jobs run as-is, large ones are chunked
+// when the job type allows it (otherwise processUrlJob rejects them as before)
+export async function runUrlJob(payload) {
+    const jobType = payload.jobType || "lp";
+    const settings = await getJobSettingsFor(jobType);
+    if (payload.urls.length <= settings.maxTabs || !settings.chunkLargeJobs) {
+        return processUrlJob(payload);
+    }
+
+    if (await loadQueue()) {
+        throw new Error("Another batch queue is still pending. Open or discard it first.");
+    }
+
+    const queue = {
+        id: payload.jobId,
+        jobType,
+        windowId: payload.windowId,
+        useDelay: !!payload.useDelay,
+        source: payload.source || "popup",
+        contexts: payload.contexts || null,
+        forcedUrls: payload.forcedUrls || [],
+        batches: chunk(payload.urls, settings.maxTabs),
+        next: 0,
+        activeGroupIds: [],
+        createdAt: Date.now()
+    };
+    return openBatch(queue);
+}
+
+export async function openNextBatch() {
+    const queue = await loadQueue();
+    if (!queue) return null;
+    return openBatch(queue);
+}
+
+// Called from tabGroups.onRemoved: closing the current batch's group opens the next one.
+// A batch split by account has several groups; the next batch waits until all are closed.
+export async function handleGroupClosed(groupId) {
+    const queue = await loadQueue();
+    // Queues saved before batches could have several groups kept a single activeGroupId
+    const active = queue ? queue.activeGroupIds ?? [queue.activeGroupId].filter(id => id != null) : [];
+    if (!active.includes(groupId)) return null;
+
+    queue.activeGroupIds = active.filter(id => id !== groupId);
+    const settings = await getJobSettingsFor(queue.jobType);
+    if (queue.activeGroupIds.length || !settings.autoAdvance) {
+        await saveQueue(queue);
+        return null;
+    }
+    return openBatch(queue);
+}
+
+export async function getQueueStatus() {
+    const queue = await loadQueue();
+    return queue ? describe(queue) : null;
+}
+
+export async function clearQueue() {
+    const queue = await loadQueue();
+    await saveQueue(null);
+    return !!queue;
+}
@@ -0,0 +1,169 @@
+/* black-frame-detect.js - Automatic black-frame detection for the Black Frames flow.
+ * MP4s are decoded in an offscreen document (video + canvas); each sampled frame's average
+ * luminance is compared with a darkness threshold and the dark stretches become black segments.
+ * analyzeVideo() also runs on any page with a DOM, e.g. on a local MP4 from the options page. */
+
+// MP4s are fetched (not just played) so the canvas is never tainted; needs these host permissions
+export const DETECTION_ORIGINS = ["https://*.idomoo.com/*"];
+
+const OFFSCREEN_URL = 'offscreen.html';
+const THUMB_WIDTH = 64;
+const SEEK_TIMEOUT_MS = 5000;
+const FETCH_TIMEOUT_MS = 60000;
+
+// Average Rec. 601 luma (0–255) of RGBA pixel data
+export function frameLuminance(data) {
+    let sum = 0;
+    const pixels = data.length / 4;
+    for (let i = 0; i < data.length; i += 4) {
+        sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+    return pixels ? sum / pixels : 0;
+}
+
+// [{ time, luma }] in time order -> [{ start, end }] for runs of samples darker than `threshold`.
+// A run lasts until the next bright sample (or the end of the video).
+export function blackSegments(samples, threshold, duration) {
+    const segments = [];
+    let start = null;
+    samples.forEach(({ time, luma }, i) => {
+        if (luma < threshold) {
+            if (start === null) start = time;
+        } else if (start !== null) {
+            segments.push({ start, end: time });
+            start = null;
+        }
+        if (i === samples.length - 1 && start !== null) segments.push({ start, end: duration });
+    });
+    return segments.map(s => ({ start: round2(s.start), end: round2(s.end) }));
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function waitFor(video, event) {
+    return new Promise((resolve, reject) => {
+        const settle = (error) => {
+            clearTimeout(timer);
+            video.removeEventListener(event, onEvent);
+            video.removeEventListener('error', onError);
+            if (error) reject(error);
+            else resolve();
+        };
+        const onEvent = () => settle(null);
+        const onError = () => settle(new Error('The video could not be decoded'));
+        const timer = setTimeout(() => settle(new Error(`Timed out waiting for ${event}`)), SEEK_TIMEOUT_MS);
+        video.addEventListener(event, onEvent);
+        video.addEventListener('error', onError);
+    });
+}
+
+// Seek through `src` every `sampleMs` and measure each frame.
+// Returns { duration, samples, blackSegments }.
+export async function analyzeVideo(src, { threshold = 20, sampleMs = 500 } = {}) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    video.src = src;
+    try {
+        await waitFor(video, 'loadeddata');
+        const { duration } = video;
+        if (!Number.isFinite(duration) || duration <= 0) throw new Error('The video has no duration');
+
+        const canvas = document.createElement('canvas');
+        canvas.width = THUMB_WIDTH;
+        canvas.height = Math.max(1, Math.round(THUMB_WIDTH * (video.videoHeight / video.videoWidth || 9 / 16)));
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+        const step = Math.max(0.04, sampleMs / 1000);
+        const samples = [];
+        for (let time = 0; time < duration; time += step) {
+            const seeked = waitFor(video, 'seeked');
+            video.currentTime = time;
+            await seeked;
+            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+            samples.push({ time, luma: frameLuminance(ctx.getImageData(0, 0, canvas.width, canvas.height).data) });
+        }
+        return { duration: round2(duration), samples: samples.length, blackSegments: blackSegments(samples, threshold, duration) };
+    } finally {
+        video.removeAttribute('src');
+        video.load();
+    }
+}
+
+// Report entry for one MP4: { url, duration, blackSegments, suspect, error? }. Videos that
+// cannot be analyzed count as suspect so they still get opened and looked at.
+export async function analyzeUrl(url, { fetchTimeoutMs = FETCH_TIMEOUT_MS, ...options } = {}) {
+    let objectUrl = null;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), fetchTimeoutMs);
+    try {
+        // The timer stays armed until the whole body is in, so a stalled download fails too
+        const res = await fetch(url, { signal: controller.signal });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const blob = await res.blob();
+        clearTimeout(timer);
+        objectUrl = URL.createObjectURL(blob);
+        const { duration, blackSegments: segments } = await analyzeVideo(objectUrl, options);
+        return { url, duration, blackSegments: segments, suspect: segments.length > 0 };
+    } catch (e) {
+        const error = e?.name === 'AbortError' ? `Download did not finish within ${fetchTimeoutMs / 1000}s` : e?.message || String(e);
+        return { url, duration: null, blackSegments: [], suspect: true, error };
+    } finally {
+        clearTimeout(timer);
+        if (objectUrl) URL.revokeObjectURL(objectUrl);
+    }
+}
+
+// ===== SERVICE WORKER SIDE =====
+
+// The worker has no <video>/<canvas>, so the analysis runs in offscreen.html. Jobs can run side
+// by side, so creation is shared and the document stays open while any job still uses it.
+let creating = null;
+let users = 0;
+
+async function createIfMissing() {
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+    });
+    if (contexts.length) return;
+    await chrome.offscreen.createDocument({
+        url: OFFSCREEN_URL,
+        reasons: ['DOM_SCRAPING'],
+        justification: 'Decode Black Frames MP4s to measure frame brightness'
+    });
+}
+
+function ensureOffscreenDocument() {
+    creating ||= createIfMissing().finally(() => { creating = null; });
+    return creating;
+}
+
+// Pair every openDetector() with a closeDetector(); the last one out closes the document
+export async function openDetector() {
+    users++;
+    await ensureOffscreenDocument();
+}
+
+export async function detectBlackFrames(url, options) {
+    await ensureOffscreenDocument();
+    const entry = await chrome.runtime.sendMessage({ target: 'offscreen', type: 'ANALYZE_BLACK_FRAMES', url, options });
+    return entry || { url, duration: null, blackSegments: [], suspect: true, error: 'No response from the analyzer' };
+}
+
+// "3 of 12 video(s) have black frames (1 could not be analyzed)"
+export function describeDetection(report) {
+    const failed = report.filter(e => e.error).length;
+    const dark = report.filter(e => e.blackSegments.length).length;
+    return `${dark} of ${report.length} video(s) have black frames${failed ? ` (${failed} could not be analyzed)` : ''}`;
+}
+
+export function describeSegments(segments) {
+    return segments.map(s => `${s.start.toFixed(1)}–${s.end.toFixed(1)}s`).join(', ');
+}
+
+export async function closeDetector() {
+    users = Math.max(0, users - 1);
+    if (users) return;
+    await chrome.offscreen.closeDocument().catch(() => { /* already closed */ });
+}
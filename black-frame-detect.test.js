@@ -0,0 +1,164 @@
+/* black-frame-detect.test.js - Black-frame detection without a browser: sample clips are brightness
+ * timelines played by a stand-in <video>/<canvas>, MP4 downloads come from a local server and the
+ * offscreen document is a chrome stub. Real MP4s can be tried from the options page. Run with `npm test`. */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { frameLuminance, blackSegments, analyzeVideo, analyzeUrl, openDetector, closeDetector, detectBlackFrames } from './black-frame-detect.js';
+
+const BRIGHT = 120;
+const DARK = 5;
+
+// Sample clips: duration and the brightness of the frame at each time
+const CLIPS = {
+    bright: { duration: 3, luma: () => BRIGHT },
+    darkMiddle: { duration: 4, luma: (t) => (t >= 1.5 && t < 2.5 ? DARK : BRIGHT) },
+    darkEnd: { duration: 4, luma: (t) => (t >= 3 ? DARK : BRIGHT) },
+    broken: { broken: true }
+};
+
+class FakeVideo extends EventTarget {
+    constructor(clip) {
+        super();
+        this.clip = clip;
+        this.time = 0;
+        this.videoWidth = 16;
+        this.videoHeight = 9;
+    }
+
+    get duration() {
+        return this.clip.duration;
+    }
+
+    set src(value) {
+        this.source = value;
+        setTimeout(() => this.dispatchEvent(new Event(this.clip.broken ? 'error' : 'loadeddata')));
+    }
+
+    get currentTime() {
+        return this.time;
+    }
+
+    set currentTime(time) {
+        this.time = time;
+        setTimeout(() => this.dispatchEvent(new Event('seeked')));
+    }
+
+    removeAttribute() {}
+    load() {}
+}
+
+// A canvas whose pixels are the grey level of the last frame drawn
+function fakeCanvas() {
+    let luma = 0;
+    return {
+        getContext: () => ({
+            drawImage: (video) => { luma = video.clip.luma(video.currentTime); },
+            getImageData: (x, y, w, h) => ({ data: new Uint8ClampedArray(w * h * 4).fill(luma) })
+        })
+    };
+}
+
+function play(clip) {
+    globalThis.document = { createElement: (tag) => (tag === 'video' ? new FakeVideo(clip) : fakeCanvas()) };
+}
+
+test("frameLuminance averages Rec. 601 luma", () => {
+    assert.equal(frameLuminance(new Uint8ClampedArray([0, 0, 0, 255, 0, 0, 0, 255])), 0);
+    assert.equal(Math.round(frameLuminance(new Uint8ClampedArray([200, 200, 200, 255]))), 200);
+    assert.equal(frameLuminance(new Uint8ClampedArray([])), 0);
+});
+
+test("blackSegments turns dark runs into time ranges", () => {
+    const samples = [0, 0.5, 1, 1.5, 2].map((time, i) => ({ time, luma: [100, 3, 4, 100, 2][i] }));
+    assert.deepEqual(blackSegments(samples, 20, 2.4), [{ start: 0.5, end: 1.5 }, { start: 2, end: 2.4 }]);
+});
+
+test("analyzeVideo finds nothing in a bright clip", async () => {
+    play(CLIPS.bright);
+    const result = await analyzeVideo('clip.mp4', { threshold: 20, sampleMs: 500 });
+    assert.deepEqual(result, { duration: 3, samples: 6, blackSegments: [] });
+});
+
+test("analyzeVideo reports black stretches", async () => {
+    play(CLIPS.darkMiddle);
+    assert.deepEqual((await analyzeVideo('clip.mp4', { sampleMs: 500 })).blackSegments, [{ start: 1.5, end: 2.5 }]);
+    play(CLIPS.darkEnd);
+    assert.deepEqual((await analyzeVideo('clip.mp4', { sampleMs: 500 })).blackSegments, [{ start: 3, end: 4 }]);
+});
+
+test("analyzeVideo follows the darkness threshold", async () => {
+    play(CLIPS.darkMiddle);
+    assert.deepEqual((await analyzeVideo('clip.mp4', { threshold: 4 })).blackSegments, []);
+});
+
+test("analyzeVideo rejects a clip that cannot be decoded", async () => {
+    play(CLIPS.broken);
+    await assert.rejects(analyzeVideo('clip.mp4'), /could not be decoded/);
+});
+
+test("analyzeUrl downloads from a local server", async (t) => {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/clip.mp4') return res.end(Buffer.alloc(64));
+        if (req.url === '/stalled.mp4') {
+            res.writeHead(200, { 'Content-Length': 64 });
+            return res.write(Buffer.alloc(8)); // the rest never comes
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+    play(CLIPS.darkMiddle);
+
+    assert.deepEqual(await analyzeUrl(`${base}/clip.mp4`, { sampleMs: 500 }), {
+        url: `${base}/clip.mp4`, duration: 4, blackSegments: [{ start: 1.5, end: 2.5 }], suspect: true
+    });
+    assert.equal((await analyzeUrl(`${base}/missing.mp4`)).error, 'HTTP 404');
+
+    const stalled = await analyzeUrl(`${base}/stalled.mp4`, { fetchTimeoutMs: 200 });
+    assert.equal(stalled.error, 'Download did not finish within 0.2s');
+    assert.equal(stalled.suspect, true);
+});
+
+test("jobs share one offscreen document and the last one closes it", async () => {
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    let open = false;
+    const calls = { created: 0, closed: 0 };
+    globalThis.chrome = {
+        runtime: {
+            getURL: (path) => `chrome-extension://test/${path}`,
+            getContexts: async () => { await delay(5); return open ? [{}] : []; },
+            sendMessage: async (msg) => {
+                await delay(10);
+                if (!open) throw new Error('No offscreen document');
+                return { url: msg.url, duration: 1, blackSegments: [], suspect: false };
+            }
+        },
+        offscreen: {
+            createDocument: async () => {
+                await delay(5);
+                if (open) throw new Error('Only a single offscreen document may be created');
+                open = true;
+                calls.created++;
+            },
+            closeDocument: async () => { open = false; calls.closed++; }
+        }
+    };
+    const job = async (count) => {
+        await openDetector();
+        try {
+            for (let i = 0; i < count; i++) assert.equal((await detectBlackFrames(`v${i}.mp4`, {})).suspect, false);
+        } finally {
+            await closeDetector();
+        }
+    };
+    await Promise.all([job(1), job(3), job(2)]);
+    assert.deepEqual(calls, { created: 1, closed: 1 });
+    delete globalThis.chrome;
+});
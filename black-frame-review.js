@@ -0,0 +1,76 @@
+/* black-frame-review.js - Black Frames review grid: the MP4 list of one review, the verdict per
+ * video and the copyable summary. Reviews live in chrome.storage.session (gone when Chrome closes). */
+
+import { formatDateKey, dateKey } from './daily-reports.js';
+
+const REVIEW_PREFIX = 'bfReview:';
+
+export const VERDICTS = {
+    confirmed: "Black frame confirmed",
+    falseAlarm: "False alarm",
+    followUp: "Needs follow-up"
+};
+
+// Offsets (fraction of the duration) of the thumbnails under each player
+export const THUMBNAIL_OFFSETS = [0.1, 0.25, 0.5, 0.75, 0.9];
+
+export async function createReview(urls) {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const review = { id, urls: [...urls], verdicts: {}, createdAt: Date.now() };
+    await chrome.storage.session.set({ [REVIEW_PREFIX + id]: review });
+    return review;
+}
+
+export async function getReview(id) {
+    const key = REVIEW_PREFIX + id;
+    const { [key]: review } = await chrome.storage.session.get([key]);
+    return review || null;
+}
+
+// Verdicts are read-modify-writes of one review; quick clicks queue so none is lost
+let pendingWrite = Promise.resolve();
+
+// Runs `change(review)` on the stored review in turn with the other verdict writes
+function updateReview(id, change) {
+    const run = pendingWrite.then(async () => {
+        const review = await getReview(id);
+        if (!review) return null;
+        change(review);
+        await chrome.storage.session.set({ [REVIEW_PREFIX + id]: review });
+        return review;
+    });
+    pendingWrite = run.catch(() => { /* the caller sees the error */ });
+    return run;
+}
+
+// Sets `verdict`, or clears it when it is already the stored one. Decided when the write runs,
+// so a double click sets and then clears.
+export function toggleVerdict(id, url, verdict) {
+    return updateReview(id, (review) => {
+        if (review.verdicts[url] === verdict || !VERDICTS[verdict]) delete review.verdicts[url];
+        else review.verdicts[url] = verdict;
+    });
+}
+
+// Stores the list and opens review.html next to the current tab; used instead of a tab group
+// when the Black Frames job is set to open in the review grid
+export async function openReviewGrid(urls, windowId) {
+    const review = await createReview(urls);
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`review.html?id=${review.id}`), windowId });
+    return review;
+}
+
+// Plain-text summary, grouped by verdict in the order of VERDICTS, then the unreviewed ones
+export function summarizeReview(review, date = new Date()) {
+    const groups = [
+        ...Object.entries(VERDICTS).map(([key, label]) => [label, review.urls.filter(u => review.verdicts[u] === key)]),
+        ["Not reviewed", review.urls.filter(u => !VERDICTS[review.verdicts[u]])]
+    ].filter(([, urls]) => urls.length);
+
+    const counts = groups.map(([label, urls]) => `${label}: ${urls.length}`).join(", ");
+    return [
+        `Black Frames review ${formatDateKey(dateKey(date))} — ${review.urls.length} video(s)`,
+        counts,
+        ...groups.flatMap(([label, urls]) => ["", `${label} (${urls.length}):`, ...urls])
+    ].join("\n");
+}
@@ -0,0 +1,181 @@
+/* daily-reports.js - Formatted Company/Count reports stored by date, and day-over-day comparison */
+
+import { pad2 } from './utils.js';
+import { parseCount } from './grafana-parser.js';
+import { getReportSettings } from './settings.js';
+
+const REPORTS_KEY = 'companyReports';
+
+export const COMPARISON_HEADERS = ["Company", "Count", "Previous", "Change", "% Change", "Status"];
+
+export const REPORT_STATUS = {
+    new: "New",
+    gone: "Gone",
+    spike: "Spike"
+};
+
+// Highlighting for the HTML copy (inline, so it survives pasting into Gmail/Docs)
+const STATUS_STYLES = {
+    new: "background:#e6f4ea;",
+    gone: "background:#f1f3f4;color:#5f6368;",
+    spike: "background:#fce8e6;font-weight:bold;"
+};
+
+// Local calendar date, "2024-05-31"
+export function dateKey(d = new Date()) {
+    return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+// "2024-05-31" -> "31.05.24 Friday"
+export function formatDateKey(key) {
+    const [y, m, d] = key.split("-").map(Number);
+    const date = new Date(y, m - 1, d);
+    return `${pad2(d)}.${pad2(m)}.${pad2(y % 100)} ${date.toLocaleDateString("en-US", { weekday: "long" })}`;
+}
+
+// ===== STORAGE =====
+
+async function loadReports() {
+    const { [REPORTS_KEY]: reports } = await chrome.storage.local.get([REPORTS_KEY]);
+    return reports && typeof reports === "object" ? reports : {};
+}
+
+// Newest first
+export async function listReportDates() {
+    return Object.keys(await loadReports()).sort().reverse();
+}
+
+export async function getReport(date) {
+    return (await loadReports())[date] || null;
+}
+
+// Latest stored report from before `date` (Monday compares against Friday, or whatever was saved last)
+export async function previousReportDate(date = dateKey()) {
+    return (await listReportDates()).find(d => d < date) || null;
+}
+
+// One report per date: formatting again on the same day replaces it. Reports older than
+// the configured number of days are dropped.
+export async function saveReport(rows, date = dateKey()) {
+    const { keepDays } = await getReportSettings();
+    const reports = await loadReports();
+    reports[date] = { date, savedAt: Date.now(), rows };
+
+    const oldest = new Date();
+    oldest.setDate(oldest.getDate() - keepDays);
+    const cutoff = dateKey(oldest);
+    Object.keys(reports).filter(d => d < cutoff).forEach(d => delete reports[d]);
+
+    await chrome.storage.local.set({ [REPORTS_KEY]: reports });
+    return reports[date];
+}
+
+export async function deleteReport(date) {
+    const reports = await loadReports();
+    delete reports[date];
+    await chrome.storage.local.set({ [REPORTS_KEY]: reports });
+}
+
+export async function clearReports() {
+    await chrome.storage.local.remove(REPORTS_KEY);
+}
+
+// ===== LATEST FORMATTED TABLES =====
+
+const LATEST_KEY = 'latestTables';
+
+export const REPORT_TABLES = {
+    companyCount: "Company Batch Counts",
+    mediaErrors: "Media Player Errors"
+};
+
+// Column order of each formatter's output (media errors are copied as error, version, count)
+export const REPORT_HEADERS = {
+    companyCount: ["Company", "Count"],
+    mediaErrors: ["Error Description", "Player Version", "Count"]
+};
+
+// The last table each formatter produced (as copied, comparison columns included),
+// picked up by the Daily Report composer
+export async function saveLatestTable(type, { headers, rows, rowStyles = [] }) {
+    const { [LATEST_KEY]: latest = {} } = await chrome.storage.local.get([LATEST_KEY]);
+    latest[type] = { date: dateKey(), savedAt: Date.now(), headers, rows, rowStyles };
+    await chrome.storage.local.set({ [LATEST_KEY]: latest });
+}
+
+export async function getLatestTables() {
+    const { [LATEST_KEY]: latest } = await chrome.storage.local.get([LATEST_KEY]);
+    return latest || {};
+}
+
+// ===== COMPARISON =====
+
+const companyKey = (name) => String(name).trim().replace(/\s+/g, " ").toLowerCase();
+
+function signed(n) {
+    return n > 0 ? `+${n}` : String(n);
+}
+
+// Compare today's [company, count] rows with a previous report's rows. Returns rows matching
+// COMPARISON_HEADERS plus a status per row ("new" | "gone" | "spike" | null) for highlighting.
+// Companies that only appear in the previous report are appended with a count of 0.
+export function compareReports(rows, previousRows, { spikeThresholdPct = 50, spikeMinCount = 0 } = {}) {
+    const previous = new Map();
+    for (const [company, count] of previousRows || []) {
+        previous.set(companyKey(company), { company, count: parseCount(count) });
+    }
+
+    const seen = new Set();
+    const out = [];
+    const statuses = [];
+
+    for (const [company, countText] of rows) {
+        const key = companyKey(company);
+        seen.add(key);
+        const count = parseCount(countText);
+        const prev = previous.get(key);
+
+        if (!prev || !Number.isFinite(prev.count)) {
+            out.push([company, countText, "", "", "", REPORT_STATUS.new]);
+            statuses.push("new");
+            continue;
+        }
+
+        const delta = count - prev.count;
+        const pct = prev.count ? (delta / prev.count) * 100 : null;
+        const spike = Number.isFinite(count) && count >= spikeMinCount &&
+            (pct == null ? count > 0 : pct >= spikeThresholdPct);
+
+        out.push([
+            company,
+            countText,
+            String(prev.count),
+            Number.isFinite(delta) ? signed(delta) : "",
+            pct == null || !Number.isFinite(pct) ? "" : `${signed(Math.round(pct))}%`,
+            spike ? REPORT_STATUS.spike : ""
+        ]);
+        statuses.push(spike ? "spike" : null);
+    }
+
+    for (const [key, prev] of previous) {
+        if (seen.has(key)) continue;
+        out.push([prev.company, "0", String(prev.count), signed(-prev.count), "-100%", REPORT_STATUS.gone]);
+        statuses.push("gone");
+    }
+
+    return { headers: COMPARISON_HEADERS, rows: out, statuses };
+}
+
+// Per-row inline styles for tableToHTML
+export function statusRowStyles(statuses) {
+    return statuses.map(s => STATUS_STYLES[s] || "");
+}
+
+export function summarizeComparison(statuses) {
+    const count = (s) => statuses.filter(x => x === s).length;
+    return [
+        count("spike") && `${count("spike")} spike(s)`,
+        count("new") && `${count("new")} new`,
+        count("gone") && `${count("gone")} gone`
+    ].filter(Boolean).join(", ") || "no notable changes";
+}
@@ -0,0 +1,78 @@
+/* error-signatures.js - Group media errors by signature (variable parts masked) and pivot by player version */
+
+import { parseCount } from './grafana-parser.js';
+
+// Applied in order; URLs first so their IDs and numbers are not masked piecemeal
+const MASKS = [
+    [/\b[a-z][a-z0-9+.-]*:\/\/[^\s"'<>)\]]+/gi, "<url>"],
+    [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, "<id>"],
+    [/\b(?:0x)?[0-9a-f]{8,}\b/gi, "<id>"],
+    // Mixed letter/digit tokens of 8+ characters: session, job and video IDs
+    [/\b(?=[a-z_-]*\d)(?=[0-9_-]*[a-z])[a-z0-9_-]{8,}\b/gi, "<id>"],
+    // Numbers, also with a unit ("3000ms"), but not inside names like "H264"
+    [/(?<![a-z0-9_])-?\d+(?:[.,:]\d+)*(?=[a-z]{0,3}\b)/gi, "<n>"]
+];
+
+// "Timeout loading https://cdn/x/1.m3u8 after 3000ms (session 9f8e7d6c5b4a)" -> "Timeout loading <url> after <n>ms (session <id>)"
+export function errorSignature(message) {
+    let s = String(message ?? "");
+    for (const [re, token] of MASKS) s = s.replace(re, token);
+    return s.replace(/\s+/g, " ").trim();
+}
+
+// [error, version, count] rows -> one row per (signature, version) with the counts summed.
+// Order follows the first occurrence of each signature.
+export function rollupBySignature(rows) {
+    const groups = new Map();
+    for (const [error, version, count] of rows) {
+        const signature = errorSignature(error);
+        const key = `${signature}\u0001${version}`;
+        const n = parseCount(count);
+        const group = groups.get(key);
+        if (group) group.count += Number.isFinite(n) ? n : 0;
+        else groups.set(key, { signature, version, count: Number.isFinite(n) ? n : 0 });
+    }
+    return [...groups.values()].map(g => [g.signature, g.version, String(g.count)]);
+}
+
+// Semver-ish: "v7.2.10" > "7.2.9", "7.3.0-beta" < "7.3.0"; non-versions sort last
+export function compareVersions(a, b) {
+    const parse = (v) => {
+        const m = String(v).trim().replace(/^v/i, "").match(/^(\d+(?:\.\d+)*)(?:-([^+]*))?/);
+        return m ? { nums: m[1].split(".").map(Number), pre: m[2] ?? null } : null;
+    };
+    const pa = parse(a);
+    const pb = parse(b);
+    if (!pa || !pb) return pa ? -1 : pb ? 1 : String(a).localeCompare(String(b));
+    for (let i = 0; i < Math.max(pa.nums.length, pb.nums.length); i++) {
+        const d = (pa.nums[i] ?? 0) - (pb.nums[i] ?? 0);
+        if (d) return d;
+    }
+    if (pa.pre === pb.pre) return 0;
+    if (pa.pre === null) return 1;
+    if (pb.pre === null) return -1;
+    return pa.pre.localeCompare(pb.pre, undefined, { numeric: true });
+}
+
+// Signatures as rows, player versions (ascending) as columns, plus a total column.
+// Rows are ordered by total, highest first.
+export function pivotByVersion(rows) {
+    const versions = [...new Set(rows.map(r => r[1] || "(none)"))].sort(compareVersions);
+    const bySignature = new Map();
+    for (const [error, version, count] of rows) {
+        const signature = errorSignature(error);
+        if (!bySignature.has(signature)) bySignature.set(signature, new Map());
+        const cells = bySignature.get(signature);
+        const v = version || "(none)";
+        const n = parseCount(count);
+        cells.set(v, (cells.get(v) || 0) + (Number.isFinite(n) ? n : 0));
+    }
+
+    const out = [...bySignature.entries()].map(([signature, cells]) => {
+        const total = [...cells.values()].reduce((a, b) => a + b, 0);
+        return { total, row: [signature, ...versions.map(v => (cells.has(v) ? String(cells.get(v)) : "")), String(total)] };
+    });
+    out.sort((a, b) => b.total - a.total);
+
+    return { headers: ["Error Signature", ...versions, "Total"], rows: out.map(x => x.row) };
+}
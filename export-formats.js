@@ -0,0 +1,84 @@
+/* export-formats.js - Clipboard output formats for the Grafana formatters */
+
+import { rowsToTSV, tableToHTML } from './utils.js';
+import { numericColumns, parseCount } from './grafana-parser.js';
+import { themedTableOptions } from './table-themes.js';
+
+// Cells are single-line in the table formats below
+const oneLine = (c) => String(c ?? "").replace(/\s*[\t\r\n]+\s*/g, " ");
+
+// RFC 4180: quote fields containing the delimiter, quotes or line breaks; CRLF between records
+export function rowsToCSV(headers, rows) {
+  const field = (c) => {
+    const s = String(c ?? "");
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [headers, ...rows].filter(r => r.length).map(r => r.map(field).join(",")).join("\r\n");
+}
+
+// GitHub-flavored Markdown; numeric columns are right-aligned
+export function rowsToMarkdown(headers, rows) {
+  const cell = (c) => oneLine(c).replace(/\\/g, "\\\\").replace(/\|/g, "\\|");
+  const numeric = numericColumns(headers, rows);
+  return [
+    `| ${headers.map(cell).join(" | ")} |`,
+    `| ${numeric.map(n => (n ? "---:" : "---")).join(" | ")} |`,
+    ...rows.map(r => `| ${headers.map((_, i) => cell(r[i])).join(" | ")} |`)
+  ].join("\n");
+}
+
+// Slack renders code blocks in a monospace font, so padded columns line up
+export function rowsToSlack(headers, rows) {
+  const all = [headers, ...rows].map(r => headers.map((_, i) => oneLine(r[i]).replace(/`/g, "'")));
+  const widths = headers.map((_, i) => Math.max(...all.map(r => r[i].length)));
+  const numeric = numericColumns(headers, rows);
+  const line = (r) => r.map((c, i) => (numeric[i] ? c.padStart(widths[i]) : c.padEnd(widths[i]))).join("  ").trimEnd();
+  const [head, ...body] = all;
+  return ["```", line(head), widths.map(w => "-".repeat(w)).join("  "), ...body.map(line), "```"].join("\n");
+}
+
+// Array of objects keyed by header; cells of count columns become numbers
+export function rowsToJSON(headers, rows) {
+  const numeric = numericColumns(headers, rows);
+  const value = (c, i) => (numeric[i] && Number.isFinite(parseCount(c)) ? parseCount(c) : String(c ?? ""));
+  return JSON.stringify(rows.map(r => Object.fromEntries(headers.map((h, i) => [h, value(r[i], i)]))), null, 2);
+}
+
+// ===== REGISTRY =====
+
+// Each format renders { text, html? }. TSV and HTML keep the formatters' original headerless
+// output unless `headerRow` is set; the other formats always need the header row.
+// `tableStyle` (settings.js) and `caption` only affect the HTML flavor.
+const htmlTable = (headers, rows, { headerRow, rowStyles, tableStyle, caption }) =>
+  tableToHTML(headerRow ? headers : [], rows, themedTableOptions(headers, rows, tableStyle, { caption, rowStyles }));
+
+export const EXPORT_FORMATS = {
+  tsv: {
+    label: "TSV (Sheets)",
+    // Highlighted rows (day-over-day comparison) also get an HTML flavor so the colors survive pasting
+    render: (headers, rows, options) => {
+      const text = rowsToTSV(options.headerRow ? headers : [], rows);
+      return options.rowStyles?.some(Boolean) ? { text, html: htmlTable(headers, rows, options) } : { text };
+    }
+  },
+  html: {
+    label: "HTML table + TSV",
+    render: (headers, rows, options) => ({
+      text: rowsToTSV(options.headerRow ? headers : [], rows),
+      html: htmlTable(headers, rows, options)
+    })
+  },
+  csv: { label: "CSV", render: (headers, rows) => ({ text: rowsToCSV(headers, rows) }) },
+  markdown: { label: "Markdown", render: (headers, rows) => ({ text: rowsToMarkdown(headers, rows) }) },
+  slack: { label: "Slack", render: (headers, rows) => ({ text: rowsToSlack(headers, rows) }) },
+  json: { label: "JSON", render: (headers, rows) => ({ text: rowsToJSON(headers, rows) }) }
+};
+
+export function renderExport(format, headers, rows, { headerRow = false, rowStyles = [], tableStyle = null, caption = "" } = {}) {
+  const entry = EXPORT_FORMATS[format] || EXPORT_FORMATS.tsv;
+  return entry.render(headers, rows, { headerRow, rowStyles, tableStyle, caption });
+}
+
+export function formatLabel(format) {
+  return (EXPORT_FORMATS[format] || EXPORT_FORMATS.tsv).label;
+}
@@ -0,0 +1,379 @@
+/* grafana-parser.js - Generic N-column parser for tables copied out of Grafana panels */
+
+// ===== CELL TYPES =====
+
+// Counts as Grafana shows them: "12", "1,234", "1.2K", "3 M"
+export function isNumberCell(s) {
+  return /^-?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?\s*[KMB]?$/i.test(String(s).trim()) && /\d/.test(String(s));
+}
+
+// "1,234" -> 1234, "1.2K" -> 1200; NaN for anything that is not a count
+export function parseCount(s) {
+  const m = String(s ?? "").trim().match(/^(-?[\d,]*\.?\d+)\s*([KMB]?)$/i);
+  if (!m || !/\d/.test(m[1])) return NaN;
+  const scale = { "": 1, K: 1e3, M: 1e6, B: 1e9 }[m[2].toUpperCase()];
+  return Math.round(parseFloat(m[1].replace(/,/g, "")) * scale);
+}
+
+// Columns where every filled cell is a count ("+12" and "40%" included). Version columns never
+// are, even when every version happens to look like a number ("7.10").
+export function numericColumns(headers, rows) {
+  const numeric = (c) => isNumberCell(String(c).trim().replace(/^\+/, "").replace(/%$/, ""));
+  return headers.map((h, i) => !/version/i.test(h) && rows.length > 0 && rows.every(r => !r[i] || numeric(r[i])));
+}
+
+function isVersionCell(s) {
+  return /^v?\d+(\.\d+)+\S*$/i.test(String(s).trim());
+}
+
+const TYPE_CHECKS = {
+  text: s => !isNumberCell(s),
+  number: isNumberCell,
+  version: isVersionCell
+};
+
+// Words Grafana panels use as column headers; "Player Version", "Error Description", "Unique Count", ...
+const HEADER_RE = /^(player\s+)?(company|customer|account|region|env|environment|count|unique|total|sum|version|error|errors|description|message|name|value|status|type|date|time|url|id|sessions?|users?|percent|%)(\s+[a-z%]+)*$/i;
+
+// Headers of columns that hold counts
+const NUMERIC_HEADER_RE = /count|unique|total|sum|percent|%|sessions?|users?|value/i;
+
+// ===== PRESETS =====
+
+export const TABLE_PRESETS = {
+  companyCount: {
+    name: "Company / Count",
+    columns: [
+      { key: "company", label: "Company", header: /^(company|customer|account)/i, type: "text" },
+      { key: "count", label: "Count", header: /count|total|unique/i, type: "number" }
+    ]
+  },
+  versionErrorCount: {
+    name: "Version / Error / Count",
+    columns: [
+      { key: "version", label: "Player Version", header: /version/i, type: "version" },
+      { key: "error", label: "Error Description", header: /description|error|message/i, type: "text", multiline: true },
+      { key: "count", label: "Count", header: /count|unique|total/i, type: "number" }
+    ]
+  }
+};
+
+// ===== HEADER DETECTION =====
+
+function isHeaderCell(cell, columns) {
+  const s = String(cell).trim();
+  if (!s || isNumberCell(s)) return false;
+  return HEADER_RE.test(s) || (columns || []).some(c => c.header?.test(s));
+}
+
+function isHeaderRow(row, columns) {
+  const cells = row.filter(c => String(c).trim());
+  return cells.length > 0 && cells.every(c => isHeaderCell(c, columns));
+}
+
+// ===== LAYOUTS =====
+
+// Tab-separated copies keep one row per line (and keep empty cells); otherwise Grafana gives one cell per line
+function looksTabSeparated(lines) {
+  const nonEmpty = lines.filter(l => l.trim());
+  return nonEmpty.length > 0 && nonEmpty.filter(l => l.includes("\t")).length >= nonEmpty.length / 2;
+}
+
+function mostCommonLength(rows) {
+  const counts = new Map();
+  rows.forEach(r => counts.set(r.length, (counts.get(r.length) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0]?.[0] || 0;
+}
+
+// Rows that are already split into cells (TSV lines, DOM rows, exports): find the header, check widths.
+// `hasHeader` is for exports, whose first row is always the field names.
+export function parseRows(cellRows, { columns = null, layout = "rows", hasHeader = false } = {}) {
+  const rows = cellRows
+    .map(r => r.map(c => String(c ?? "").replace(/\s*\n\s*/g, " ").trim()))
+    .filter(r => r.some(Boolean));
+
+  const headerIdx = hasHeader ? 0 : rows.findIndex((r, i) => i < 3 && isHeaderRow(r, columns));
+  const headers = headerIdx >= 0 ? rows[headerIdx] : [];
+  const body = rows.slice(headerIdx + 1);
+  const columnCount = headers.length || columns?.length || mostCommonLength(body);
+
+  const issues = [];
+  const out = body.map((r, i) => {
+    if (r.length === columnCount) return r;
+    issues.push({ row: i + 1, reason: r.length < columnCount ? "missing cells" : "extra cells", cells: r });
+    return r.length < columnCount
+      ? [...r, ...Array(columnCount - r.length).fill("")]
+      : [...r.slice(0, columnCount - 1), r.slice(columnCount - 1).join(" ")];
+  });
+
+  return { headers, rows: out, issues, columnCount, layout };
+}
+
+// One cell per line. Rows are closed at the numeric columns (the counts), which keeps alignment
+// when a cell is missing (empty cells produce no line) or a message wraps onto several lines.
+function parseCellLines(cells, columns) {
+  // With a preset the header has at most one cell per column, so a first company named "Total" stays data
+  const maxHeader = Math.min(cells.length, columns?.length || cells.length);
+  let start = 0;
+  while (start < maxHeader && isHeaderCell(cells[start], columns)) start++;
+  // A single header-like cell is more likely data (e.g. a company named "Total")
+  const headers = start >= 2 || (start === 1 && columns?.length === 1) ? cells.slice(0, start) : [];
+  const body = cells.slice(headers.length);
+  const n = headers.length || columns?.length || 2;
+
+  // Column types: from the preset when it fits, else guessed from the header names
+  const fromPreset = !!columns && columns.length === n;
+  const types = fromPreset ? columns.map(c => c.type)
+    : headers.length ? headers.map(h => (NUMERIC_HEADER_RE.test(h) ? "number" : "text")) : null;
+
+  // Trailing numeric columns act as the row terminator
+  let tail = 0;
+  if (types) while (tail < n && types[n - 1 - tail] === "number") tail++;
+  else if (body.filter(isNumberCell).length >= (body.length / n) * 0.8) tail = 1;
+
+  const rows = [];
+  const issues = [];
+  const push = (row, reason) => {
+    if (reason) issues.push({ row: rows.length + 1, reason, cells: [...row] });
+    rows.push(row);
+  };
+
+  if (!tail || tail === n) {
+    for (let i = 0; i < body.length; i += n) {
+      const row = body.slice(i, i + n);
+      if (row.length < n) push([...row, ...Array(n - row.length).fill("")], "incomplete row");
+      else if (types && row.some((c, k) => !TYPE_CHECKS[types[k]]?.(c))) push(row, "type mismatch");
+      else push(row);
+    }
+    return { headers, rows, issues, columnCount: n, layout: "lines" };
+  }
+
+  // Wrapped text goes into the preset's multiline column, else the last text column
+  const multiline = fromPreset ? columns.findIndex(c => c.multiline) : -1;
+  const mergeAt = multiline !== -1 ? multiline : n - tail - 1;
+
+  // One cell short: put the gap at the first column whose type the cell does not fit
+  const fillGap = (row) => {
+    const k = types ? row.findIndex((c, i) => !TYPE_CHECKS[types[i]]?.(c)) : 0;
+    const at = k === -1 ? 0 : k;
+    return [...row.slice(0, at), "", ...row.slice(at)];
+  };
+
+  // A full row whose typed cells fit; text columns take anything, so a numeric error ("404") still fits
+  const fits = (row) => row.length === n && row.every((c, k) => types[k] === "text" ? !!c : TYPE_CHECKS[types[k]]?.(c));
+  // Whether `cell` can open the next row
+  const startsRow = (cell) => cell === undefined || !types || TYPE_CHECKS[types[0]]?.(cell);
+
+  let current = [];
+  for (let i = 0; i < body.length; i++) {
+    current.push(body[i]);
+    // Only close once the row has (almost) all its cells, so a leading "7.2" version is not a count
+    const closes = current.length >= Math.max(tail + 1, n - 1) && current.slice(-tail).every(isNumberCell);
+    if (!closes) continue;
+    // One cell short: the next cell completes the row when that gives n cells of the right types
+    // and the row after starts where it should; only otherwise is there a gap
+    if (current.length === n - 1 && types && fits([...current, body[i + 1]]) && startsRow(body[i + 2])) continue;
+
+    if (current.length === n) push(current);
+    else if (current.length < n) push(fillGap(current), "missing cell");
+    else {
+      const extra = current.length - n;
+      push([
+        ...current.slice(0, mergeAt),
+        current.slice(mergeAt, mergeAt + extra + 1).join(" "),
+        ...current.slice(mergeAt + extra + 1)
+      ], "extra cells merged");
+    }
+    current = [];
+  }
+  if (current.length) push([...current, ...Array(Math.max(0, n - current.length)).fill("")].slice(0, n), "incomplete row");
+
+  return { headers, rows, issues, columnCount: n, layout: "lines" };
+}
+
+// ===== EXPORTS: CSV AND DATA FRAME JSON =====
+
+// RFC 4180: quoted fields may contain the delimiter, "" and line breaks
+export function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) rows.push([...row, cell]);
+  return rows;
+}
+
+// Grafana's "Download CSV" quotes the header row; "Download for Excel" adds a "sep=," line first.
+// Returns the delimiter, or null when the text is not a CSV export.
+function csvDelimiter(lines) {
+  const first = lines.find(l => l.trim()) || "";
+  const sep = first.match(/^sep=(.)$/);
+  if (sep) return sep[1];
+  if (first.includes("\t") || !first.includes(",")) return null;
+  if (/^"[^"]*"(,"[^"]*")+$/.test(first.trim())) return ",";
+  const cells = parseCsv(first)[0] || [];
+  return cells.length >= 2 && isHeaderRow(cells) ? "," : null;
+}
+
+// Field display name as the panel shows it
+function fieldName(field) {
+  return field.config?.displayName || field.config?.displayNameFromDS || field.name || "";
+}
+
+function frameToCells(frame) {
+  // Inspect → Data → "DataFrame JSON": { schema: { fields }, data: { values: [column, ...] } }
+  if (frame?.schema?.fields && frame?.data?.values) {
+    const columns = frame.data.values;
+    const length = Math.max(0, ...columns.map(c => c?.length || 0));
+    const rows = Array.from({ length }, (_, i) => columns.map(c => c?.[i] ?? ""));
+    return [frame.schema.fields.map(fieldName), ...rows];
+  }
+  // In-memory frames / older exports: { fields: [{ name, values }] }
+  if (Array.isArray(frame?.fields)) {
+    const length = Math.max(0, ...frame.fields.map(f => f.values?.length || 0));
+    const rows = Array.from({ length }, (_, i) => frame.fields.map(f => f.values?.[i] ?? ""));
+    return [frame.fields.map(fieldName), ...rows];
+  }
+  return null;
+}
+
+// Frames can come as an array, as { frames }, or per query under { results: { A: { frames } } }
+function collectFrames(json) {
+  if (Array.isArray(json)) return json.flatMap(collectFrames);
+  if (!json || typeof json !== "object") return [];
+  if (frameToCells(json)) return [json];
+  if (Array.isArray(json.frames)) return json.frames;
+  if (json.results) return Object.values(json.results).flatMap(r => r?.frames || []);
+  if (json.data) return collectFrames(json.data);
+  return [];
+}
+
+// Tables from a data frame JSON export (one per frame), or null when the text is not one
+export function parseFrameJson(raw) {
+  const text = String(raw ?? "").trim();
+  if (!/^[[{]/.test(text)) return null;
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+  const tables = collectFrames(json)
+    .map(frameToCells)
+    .filter(cells => cells && cells.length > 1)
+    .map(cells => parseRows(cells, { layout: "json", hasHeader: true }));
+  return tables.length ? tables : null;
+}
+
+// Parse raw copied text (TSV or one cell per line) or a CSV export. `columns` (a preset's column
+// list) is a hint for the column count and header names when the copy has no header row.
+export function parseTable(raw, { columns = null } = {}) {
+  const lines = String(raw ?? "").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split("\n");
+  const delimiter = csvDelimiter(lines);
+  if (delimiter) {
+    const text = lines.filter(l => !/^sep=.$/.test(l)).join("\n");
+    return parseRows(parseCsv(text, delimiter), { columns, layout: "csv", hasHeader: true });
+  }
+  if (looksTabSeparated(lines)) {
+    return parseRows(lines.map(l => l.split("\t")), { columns, layout: "tsv" });
+  }
+  return parseCellLines(lines.map(s => s.trim()).filter(Boolean), columns);
+}
+
+// ===== PRESET MAPPING =====
+
+// Pick the preset's columns out of a parsed table: by header name when there is a header row,
+// otherwise by position. Rows whose typed cells do not fit are flagged, not dropped.
+export function applyPreset(table, preset) {
+  const { columns } = preset;
+  let indexes = null;
+
+  if (table.headers.length) {
+    const used = new Set();
+    indexes = columns.map(col => {
+      const idx = table.headers.findIndex((h, i) => !used.has(i) && col.header.test(h));
+      if (idx !== -1) used.add(idx);
+      return idx;
+    });
+    if (indexes.includes(-1)) indexes = null;
+  }
+  if (!indexes && table.columnCount === columns.length) indexes = columns.map((_, i) => i);
+  if (!indexes) {
+    return { headers: table.headers, rows: [], issues: [{ row: 0, reason: `expected columns ${columns.map(c => c.label).join(", ")}` }], layout: table.layout };
+  }
+
+  const issues = [...table.issues];
+  const rows = table.rows.map((r, i) => {
+    const mapped = indexes.map(idx => r[idx] ?? "");
+    const bad = columns.some((c, k) => c.type === "number" && mapped[k] && !isNumberCell(mapped[k]));
+    if (bad && !issues.some(x => x.row === i + 1)) issues.push({ row: i + 1, reason: "type mismatch", cells: mapped });
+    return mapped;
+  });
+
+  return { headers: columns.map(c => c.label), rows, issues: issues.sort((a, b) => a.row - b.row), layout: table.layout };
+}
+
+// Data frame JSON may hold several frames (one per query or series): rows of every frame
+// whose fields map onto the preset are combined
+export function parsePreset(raw, presetKey) {
+  const preset = TABLE_PRESETS[presetKey];
+  const frames = parseFrameJson(raw);
+  if (frames) {
+    const mapped = frames.map(t => applyPreset(t, preset));
+    const usable = mapped.filter(t => t.rows.length);
+    if (!usable.length) return { ...mapped[0], layout: "json" };
+    return {
+      headers: usable[0].headers,
+      rows: usable.flatMap(t => t.rows),
+      issues: usable.length === 1 ? usable[0].issues : [],
+      layout: "json"
+    };
+  }
+  return applyPreset(parseTable(raw, { columns: preset.columns }), preset);
+}
+
+// Same, for rows already split into cells by the page (see page-capture.js)
+export function parsePresetRows(cellRows, presetKey) {
+  const preset = TABLE_PRESETS[presetKey];
+  return applyPreset(parseRows(cellRows, { columns: preset.columns, layout: "dom" }), preset);
+}
+
+// ===== FORMATTER PRESETS =====
+
+export function parseCompanyCount(raw) {
+  return parsePreset(raw, "companyCount").rows;
+}
+
+export function parseVersionErrorCount(raw) {
+  return parsePreset(raw, "versionErrorCount").rows;
+}
+
+// "rows 3, 7" style summary for notifications and overlays
+export function describeIssues(issues) {
+  if (!issues?.length) return "";
+  const rows = issues.filter(i => i.row > 0).map(i => i.row);
+  if (!rows.length) return issues[0].reason;
+  return `${rows.length} row(s) may be misaligned (row ${rows.slice(0, 5).join(", ")}${rows.length > 5 ? "…" : ""})`;
+}
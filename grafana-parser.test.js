@@ -0,0 +1,49 @@
+/* grafana-parser.test.js - Fixtures for the Grafana table parser; run with `npm test` (node:test) */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePreset, parseTable } from './grafana-parser.js';
+
+// One cell per line, as Grafana copies them
+const lines = (...cells) => cells.join("\n");
+
+test("a company named like a header stays data", () => {
+  const table = parsePreset(lines("Company", "Count", "Total", "5", "Acme", "3"), "companyCount");
+  assert.deepEqual(table.rows, [["Total", "5"], ["Acme", "3"]]);
+  assert.deepEqual(table.issues, []);
+});
+
+test("header-like companies without a header row", () => {
+  for (const name of ["Total", "Status", "ID", "Name"]) {
+    const table = parsePreset(lines(name, "5", "Acme", "3"), "companyCount");
+    assert.deepEqual(table.rows, [[name, "5"], ["Acme", "3"]], name);
+  }
+});
+
+test("numeric error descriptions do not close a row early", () => {
+  const table = parsePreset(lines("7.2", "404", "3", "7.3", "Net", "4"), "versionErrorCount");
+  assert.deepEqual(table.rows, [["7.2", "404", "3"], ["7.3", "Net", "4"]]);
+  assert.deepEqual(table.issues, []);
+});
+
+test("numeric error descriptions after a header row", () => {
+  const raw = lines("Player Version", "Error Description", "Count", "7.2", "500", "3", "7.3", "Net", "4", "7.4", "404", "9");
+  assert.deepEqual(parsePreset(raw, "versionErrorCount").rows, [["7.2", "500", "3"], ["7.3", "Net", "4"], ["7.4", "404", "9"]]);
+});
+
+test("a missing error description is still filled as a gap", () => {
+  const table = parsePreset(lines("7.2", "3", "7.3", "Net", "4"), "versionErrorCount");
+  assert.deepEqual(table.rows, [["7.2", "", "3"], ["7.3", "Net", "4"]]);
+  assert.deepEqual(table.issues.map(i => i.reason), ["missing cell"]);
+});
+
+test("wrapped error descriptions are merged", () => {
+  const table = parsePreset(lines("7.2", "Net", "error", "3", "7.3", "X", "4"), "versionErrorCount");
+  assert.deepEqual(table.rows, [["7.2", "Net error", "3"], ["7.3", "X", "4"]]);
+});
+
+test("tab-separated copies keep their header and width", () => {
+  const table = parseTable("Company\tRegion\tCount\nAcme\tEU\t3\nGlobex\t\t1.2K");
+  assert.deepEqual(table.headers, ["Company", "Region", "Count"]);
+  assert.deepEqual(table.rows, [["Acme", "EU", "3"], ["Globex", "", "1.2K"]]);
+});
@@ -0,0 +1,122 @@
+/* health-check.js - Optional pre-flight check of LP URLs before opening them: fetch the landing
+ * page and its url= m3u8 manifest (when there is one) and sort the result into a status */
+
+export const HEALTH_STATUS = {
+    ok: "OK",
+    httpError: "HTTP error",
+    timeout: "Timeout",
+    malformed: "Manifest malformed"
+};
+
+export const DEFAULT_HEALTH_OPTIONS = { concurrency: 4, timeoutMs: 10000 };
+
+// The m3u8 in the LP's url= parameter, or null
+export function manifestUrlOf(lpUrl) {
+    try {
+        const inner = new URL(lpUrl).searchParams.get("url");
+        if (!inner || !/\.m3u8(?:$|[?#])/i.test(inner)) return null;
+        return new URL(inner).href;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Why a playlist is unusable, or null when it looks fine. Master playlists need variant URIs
+// after #EXT-X-STREAM-INF, media playlists a URI after every #EXTINF. Other tags
+// (#EXT-X-BYTERANGE, #EXT-X-PROGRAM-DATE-TIME, ...) may sit between a tag and its URI.
+export function manifestProblem(text) {
+    const lines = String(text ?? "").replace(/^\uFEFF/, "").split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (lines[0] !== "#EXTM3U") return "no #EXTM3U header";
+
+    const hasUri = (tag, i) => {
+        const next = lines.slice(i + 1).find(l => !l.startsWith("#") || l.startsWith(tag));
+        return next !== undefined && !next.startsWith("#");
+    };
+    const uris = (tag) => lines.filter((l, i) => l.startsWith(tag) && hasUri(tag, i));
+    const variants = lines.filter(l => l.startsWith("#EXT-X-STREAM-INF"));
+    if (variants.length) {
+        return uris("#EXT-X-STREAM-INF").length === variants.length ? null : "variant stream without a URI";
+    }
+    const segments = lines.filter(l => l.startsWith("#EXTINF"));
+    if (!segments.length) return "no segments";
+    if (uris("#EXTINF").length !== segments.length) return "segment without a URI";
+    return null;
+}
+
+// `read` runs before the timer is cleared, so a body that stalls after the headers times out too.
+// `signal` aborts the request early (the whole check was dropped).
+async function fetchWithTimeout(url, timeoutMs, read = (res) => res, signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const stop = () => controller.abort();
+    signal?.addEventListener("abort", stop);
+    try {
+        return await read(await fetch(url, { signal: controller.signal, cache: "no-store", credentials: "omit" }));
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", stop);
+    }
+}
+
+// { url, status, detail, manifestUrl }; `status` is a key of HEALTH_STATUS
+export async function checkUrl(url, { timeoutMs = DEFAULT_HEALTH_OPTIONS.timeoutMs, signal } = {}) {
+    const manifestUrl = manifestUrlOf(url);
+    const result = (status, detail = "") => ({ url, status, detail, manifestUrl });
+    let stage = "LP";
+    try {
+        const page = await fetchWithTimeout(url, timeoutMs, undefined, signal);
+        if (!page.ok) return result("httpError", `LP returned HTTP ${page.status}`);
+        if (!manifestUrl) return result("ok");
+
+        stage = "Manifest";
+        const manifest = await fetchWithTimeout(manifestUrl, timeoutMs,
+            async (res) => ({ ok: res.ok, status: res.status, text: res.ok ? await res.text() : "" }), signal);
+        if (!manifest.ok) return result("httpError", `Manifest returned HTTP ${manifest.status}`);
+        const problem = manifestProblem(manifest.text);
+        return problem ? result("malformed", problem) : result("ok");
+    } catch (e) {
+        if (e?.name === "AbortError") return result("timeout", `${stage} did not answer within ${timeoutMs / 1000}s`);
+        return result("httpError", `${stage} request failed (${e?.message || e})`);
+    }
+}
+
+// Check `urls` with at most `concurrency` requests in flight; `onResult` gets each result as it lands.
+// Resolves to the results in the order of `urls`. Once `signal` aborts (the text was edited), requests
+// stop and no further results are reported; the unchecked URLs stay empty in the array.
+export async function checkUrls(urls, { concurrency = DEFAULT_HEALTH_OPTIONS.concurrency, timeoutMs, signal, onResult = () => {} } = {}) {
+    const results = new Array(urls.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < urls.length && !signal?.aborted) {
+            const i = next++;
+            const result = await checkUrl(urls[i], { timeoutMs, signal });
+            if (signal?.aborted) return;
+            results[i] = result;
+            onResult(result, i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+    return results;
+}
+
+// Origins the popup needs access to before fetching (LP pages and their manifests)
+export function checkOrigins(urls) {
+    const origins = new Set();
+    for (const u of urls) {
+        for (const target of [u, manifestUrlOf(u)].filter(Boolean)) {
+            try {
+                origins.add(`${new URL(target).origin}/*`);
+            } catch (e) { /* not a URL */ }
+        }
+    }
+    return [...origins];
+}
+
+// "3 OK · 2 HTTP error · 1 Timeout"
+export function summarizeHealth(results) {
+    return Object.entries(HEALTH_STATUS)
+        .map(([key, label]) => [label, results.filter(r => r.status === key).length])
+        .filter(([, n]) => n)
+        .map(([label, n]) => `${n} ${label}`)
+        .join(" · ");
+}
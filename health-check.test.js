@@ -0,0 +1,122 @@
+/* health-check.test.js - The pre-flight check against a local stand-in server; run with `npm test` */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { manifestProblem, checkUrl, checkUrls } from './health-check.js';
+
+const MEDIA = ["#EXTM3U", "#EXT-X-TARGETDURATION:4", "#EXTINF:4,", "seg1.ts", "#EXTINF:4,", "seg2.ts", "#EXT-X-ENDLIST"].join("\n");
+
+// Stand-in for the LP and CDN hosts: /lp answers 200, /m/<name> serves the playlists below
+const PLAYLISTS = {
+    "ok.m3u8": MEDIA,
+    "empty.m3u8": "#EXTM3U\n#EXT-X-ENDLIST",
+    "html.m3u8": "<html>Not Found</html>"
+};
+
+function routes(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname === "/hang") return; // never answers
+    if (pathname === "/slow") return setTimeout(() => res.end("ok"), 100);
+    if (pathname === "/lp") return res.end("<html>player</html>");
+    if (pathname === "/gone") {
+        res.writeHead(404);
+        return res.end();
+    }
+    if (pathname === "/m/forbidden.m3u8") {
+        res.writeHead(403);
+        return res.end();
+    }
+    if (pathname === "/m/stalled.m3u8") {
+        res.writeHead(200);
+        return res.write("#EXTM3U\n"); // headers and the first line, then nothing
+    }
+    const playlist = PLAYLISTS[pathname.replace("/m/", "")];
+    if (playlist === undefined) {
+        res.writeHead(404);
+        return res.end();
+    }
+    res.end(playlist);
+}
+
+let server;
+let base;
+const lp = (manifest) => `${base}/lp${manifest ? `?url=${encodeURIComponent(`${base}/m/${manifest}`)}` : ""}`;
+
+test.before(async () => {
+    server = http.createServer(routes);
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+test("manifestProblem accepts media and master playlists", () => {
+    assert.equal(manifestProblem(MEDIA), null);
+    assert.equal(manifestProblem("#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000\nlow.m3u8"), null);
+});
+
+test("manifestProblem looks past tags between #EXTINF and its URI", () => {
+    const text = ["#EXTM3U", "#EXTINF:4,", "#EXT-X-BYTERANGE:1000@0", "seg.ts",
+        "#EXT-X-PROGRAM-DATE-TIME:2024-01-01T00:00:00Z", "#EXTINF:4,", "seg.ts"].join("\n");
+    assert.equal(manifestProblem(text), null);
+    assert.equal(manifestProblem("#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1\n#EXT-X-FOO\nv.m3u8"), null);
+});
+
+test("manifestProblem names what is wrong", () => {
+    assert.equal(manifestProblem("<html></html>"), "no #EXTM3U header");
+    assert.equal(manifestProblem("#EXTM3U\n#EXT-X-ENDLIST"), "no segments");
+    assert.equal(manifestProblem("#EXTM3U\n#EXTINF:4,\n#EXTINF:4,\nseg.ts"), "segment without a URI");
+    assert.equal(manifestProblem("#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1\n#EXT-X-STREAM-INF:BANDWIDTH=2\nv.m3u8"), "variant stream without a URI");
+});
+
+test("checkUrl sorts answers into statuses", async () => {
+    assert.equal((await checkUrl(lp())).status, "ok");
+    assert.equal((await checkUrl(lp("ok.m3u8"))).status, "ok");
+    assert.equal((await checkUrl(`${base}/gone`)).detail, "LP returned HTTP 404");
+    assert.equal((await checkUrl(lp("forbidden.m3u8"))).detail, "Manifest returned HTTP 403");
+    assert.deepEqual(await checkUrl(lp("html.m3u8")), {
+        url: lp("html.m3u8"), status: "malformed", detail: "no #EXTM3U header", manifestUrl: `${base}/m/html.m3u8`
+    });
+    assert.equal((await checkUrl(lp("empty.m3u8"))).detail, "no segments");
+});
+
+test("checkUrl times out on a host that never answers", async () => {
+    const result = await checkUrl(`${base}/hang`, { timeoutMs: 200 });
+    assert.equal(result.status, "timeout");
+    assert.equal(result.detail, "LP did not answer within 0.2s");
+});
+
+test("checkUrl times out on a manifest body that stalls after the headers", async () => {
+    const result = await checkUrl(lp("stalled.m3u8"), { timeoutMs: 200 });
+    assert.equal(result.status, "timeout");
+    assert.equal(result.detail, "Manifest did not answer within 0.2s");
+});
+
+test("checkUrls reports every result in order", async () => {
+    const urls = [lp("ok.m3u8"), `${base}/gone`, lp("empty.m3u8")];
+    const seen = [];
+    const results = await checkUrls(urls, { concurrency: 2, onResult: (r) => seen.push(r.url) });
+    assert.deepEqual(results.map(r => r.status), ["ok", "httpError", "malformed"]);
+    assert.deepEqual([...seen].sort(), [...urls].sort());
+});
+
+test("checkUrls drops the results of a check that was aborted", async () => {
+    const urls = Array.from({ length: 6 }, (_, i) => `${base}/slow?i=${i}`);
+    const controller = new AbortController();
+    const seen = [];
+    const results = await checkUrls(urls, {
+        concurrency: 2,
+        signal: controller.signal,
+        onResult: (r) => {
+            seen.push(r);
+            controller.abort(); // the text was edited after the first result
+        }
+    });
+    assert.equal(seen.length, 1);
+    assert.equal(seen[0].status, "ok");
+    assert.equal(results.filter(Boolean).length, 1);
+});
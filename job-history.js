@@ -0,0 +1,107 @@
+/* job-history.js - Persisted record of the last finished jobs (reopen / copy / undo) */
+
+import { getHistoryLimit } from './settings.js';
+
+const HISTORY_KEY = 'jobHistory';
+
+export const JOB_SOURCES = {
+    popup: "Popup",
+    shortcut: "Shortcut",
+    page: "AlertOps toolbar",
+    contextMenu: "Context menu",
+    batch: "Batch queue",
+    history: "History"
+};
+
+export async function getHistory() {
+    const { [HISTORY_KEY]: history } = await chrome.storage.local.get([HISTORY_KEY]);
+    return Array.isArray(history) ? history : [];
+}
+
+async function saveHistory(history) {
+    await chrome.storage.local.set({ [HISTORY_KEY]: history });
+}
+
+// Read-modify-write changes run one after another, so jobs finishing together (popup, toolbar,
+// batch auto-advance) do not overwrite each other's entries
+let pendingWrite = Promise.resolve();
+
+function updateHistory(change) {
+    const run = pendingWrite.then(change);
+    pendingWrite = run.catch(() => { /* the caller sees the error */ });
+    return run;
+}
+
+// Newest first, trimmed to the configured size
+export function recordJob(result, job) {
+    return updateHistory(() => addEntry(result, job));
+}
+
+async function addEntry(result, job) {
+    const limit = await getHistoryLimit();
+    const entry = {
+        id: job.jobId,
+        timestamp: Date.now(),
+        source: job.source || "popup",
+        jobType: job.jobType,
+        urls: job.urls || [],
+        forcedUrls: job.forcedUrls || [],
+        // Row context per URL, so a reopened job is grouped by account like the original
+        contexts: job.contexts || null,
+        groupTitle: result.groupTitle,
+        groupId: result.groupId,
+        groupIds: result.groupIds || [],
+        windowId: job.windowId,
+        tabIds: job.tabIds,
+        counts: {
+            opened: result.counts?.new ?? result.count,
+            reused: result.counts?.reused ?? 0,
+            skipped: result.skipped?.length ?? 0
+        },
+        cancelled: !!result.cancelled,
+        undone: false
+    };
+    const history = (await getHistory()).filter(e => e.id !== entry.id);
+    await saveHistory([entry, ...history].slice(0, limit));
+    return entry;
+}
+
+export async function getHistoryEntry(id) {
+    return (await getHistory()).find(e => e.id === id) || null;
+}
+
+// Undo: close the tabs this job opened that are still in its group(s).
+// Tabs the job only reused, and tabs that were in an appended-to group before, stay open.
+export function undoHistoryEntry(id) {
+    return updateHistory(() => undoEntry(id));
+}
+
+async function undoEntry(id) {
+    const history = await getHistory();
+    const entry = history.find(e => e.id === id);
+    if (!entry) throw new Error("History entry not found.");
+    if (entry.groupId == null) throw new Error("This job did not create a tab group.");
+
+    // Jobs split by account made several groups; any of them may have been closed since
+    const groupIds = entry.groupIds?.length ? entry.groupIds : [entry.groupId];
+    const groupTabs = [];
+    for (const groupId of groupIds) {
+        try {
+            await chrome.tabGroups.get(groupId);
+            groupTabs.push(...await chrome.tabs.query({ groupId }));
+        } catch (e) { /* group closed */ }
+    }
+    if (!groupTabs.length) throw new Error(groupIds.length > 1 ? "The tab groups are no longer open." : "The tab group is no longer open.");
+
+    const own = new Set(entry.tabIds || []);
+    const toClose = groupTabs.filter(t => own.has(t.id)).map(t => t.id);
+    if (toClose.length) await chrome.tabs.remove(toClose);
+
+    entry.undone = true;
+    await saveHistory(history);
+    return toClose.length;
+}
+
+export function clearHistory() {
+    return updateHistory(() => chrome.storage.local.remove(HISTORY_KEY));
+}
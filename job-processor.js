@@ -1,21 +1,97 @@
 /* job-processor.js - Handles job state, retry logic, and grouping */
 
-import { MAX_TABS_PER_JOB, sanitizeUrl, sleep } from './utils.js';
+import { sanitizeUrl, sleep } from './utils.js';
+import { getUrlRules, getJobSettingsFor, formatGroupTitle, groupTitlePattern, TAB_GROUP_COLORS } from './settings.js';
+import { splitByAccount } from './url-context.js';
+import { detectBlackFrames, openDetector, closeDetector } from './black-frame-detect.js';
 
-// Track running jobs so we can cancel mid-loop
-const jobs = new Map(); // jobId -> { cancelled: boolean, timestamp: number }
+// Job state lives in chrome.storage.session (one "job:<id>" key per job) so a job survives
+// the MV3 service worker being suspended mid-run. This Map mirrors the jobs running in
+// *this* worker instance so cancellation checks can stay synchronous inside sleep().
+const jobs = new Map(); // jobId -> persisted job record
 
+const JOB_KEY_PREFIX = 'job:';
 const JOB_MAX_AGE = 900000; // 15 minutes
 
-// Periodic cleanup of orphaned jobs
-setInterval(() => {
-    const now = Date.now();
-    for (const [jobId, job] of jobs.entries()) {
-        if (job.timestamp && now - job.timestamp > JOB_MAX_AGE) {
-            jobs.delete(jobId);
-        }
-    }
-}, 120000); // Check every 2 minutes
+const listeners = new Set();
+
+// Subscribe to job events: started, progress, retry, skipped and finished.
+// Every event carries the jobId; "finished" also carries the result.
+export function onJobEvent(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// Subscribe to finished jobs (including ones resumed after a worker restart)
+export function onJobFinished(listener) {
+    return onJobEvent((event, job) => {
+        if (event.type === 'finished') listener(event.result, job);
+    });
+}
+
+function emit(job, event) {
+    const full = { jobId: job.jobId, jobType: job.jobType, ...event };
+    listeners.forEach(fn => {
+        try { fn(full, job); } catch (e) { console.warn('Job listener failed:', e); }
+    });
+}
+
+// Public view of a job, used to (re)attach progress UIs
+function snapshot(job) {
+    return {
+        jobId: job.jobId,
+        jobType: job.jobType,
+        total: job.total,
+        processed: job.total - job.pending.length,
+        opened: job.tabIds.length,
+        reused: job.reusedTabIds.length,
+        currentUrl: job.currentUrl || null,
+        skipped: job.skipped,
+        groupTitle: job.groupTitle ?? null,
+        cancelled: !!job.cancelled
+    };
+}
+
+// ===== PERSISTENCE =====
+
+// Jobs deleted by this worker. A cancelled job can finish while cancelJob() still holds a copy
+// read from storage; saving that copy would bring the job back.
+const deletedJobs = new Set();
+
+async function saveJob(job) {
+    if (deletedJobs.has(job.jobId)) return;
+    await chrome.storage.session.set({ [JOB_KEY_PREFIX + job.jobId]: job });
+}
+
+async function loadJob(jobId) {
+    const key = JOB_KEY_PREFIX + jobId;
+    const { [key]: job } = await chrome.storage.session.get([key]);
+    return job || null;
+}
+
+async function deleteJob(jobId) {
+    deletedJobs.add(jobId);
+    jobs.delete(jobId);
+    await chrome.storage.session.remove(JOB_KEY_PREFIX + jobId);
+}
+
+async function loadAllJobs() {
+    const all = await chrome.storage.session.get(null);
+    return Object.entries(all)
+        .filter(([key]) => key.startsWith(JOB_KEY_PREFIX))
+        .map(([, job]) => job);
+}
+
+function isCancelled(jobId) {
+    return !!jobs.get(jobId)?.cancelled;
+}
+
+// Cancellation may come from another worker instance (e.g. before a restart), so re-read storage
+async function refreshCancelled(job) {
+    const stored = await loadJob(job.jobId);
+    if (stored?.cancelled) job.cancelled = true;
+    return job.cancelled;
+}
 
 // Detect errors that are safe to retry
 function isTransientTabError(errMsg = "") {
@@ -24,14 +100,18 @@ function isTransientTabError(errMsg = "") {
     );
 }
 
-// Create a tab with retries/backoff
-async function createTabWithRetry({ url, windowId, jobId, maxRetries = 20 }) {
-    const cleanUrl = sanitizeUrl(url);
-    if (!cleanUrl) return null;
+// Create a tab with retries/backoff. `report` receives retry/skip notices for progress events.
+// `forced` URLs were rejected by the rules and included by hand, so they open as they are.
+async function createTabWithRetry({ url, windowId, jobId, rules, forced = false, maxRetries = 20, report = () => {} }) {
+    const cleanUrl = forced ? url : sanitizeUrl(url, rules);
+    if (!cleanUrl) {
+        report({ type: 'skipped', url, reason: 'Rejected by URL rules' });
+        return null;
+    }
 
     let attempt = 0;
     while (true) {
-        if (jobs.get(jobId)?.cancelled) return null;
+        if (isCancelled(jobId)) return null;
 
         try {
             const tab = await chrome.tabs.create({ url: cleanUrl, active: false, windowId });
@@ -40,67 +120,296 @@ async function createTabWithRetry({ url, windowId, jobId, maxRetries = 20 }) {
             const msg = e?.message || String(e);
             if (isTransientTabError(msg) && attempt < maxRetries) {
                 const waitMs = Math.min(2000, 100 + attempt * 150);
-                await sleep(waitMs, () => jobs.get(jobId)?.cancelled);
+                report({ type: 'retry', url: cleanUrl, attempt: attempt + 1, maxRetries, error: msg });
+                await sleep(waitMs, () => isCancelled(jobId));
                 attempt++;
                 continue;
             } else {
                 console.warn('Skipping URL due to non-retryable error:', cleanUrl, msg);
+                report({ type: 'skipped', url: cleanUrl, reason: isTransientTabError(msg) ? `Gave up after ${maxRetries} retries: ${msg}` : msg });
                 return null;
             }
         }
     }
 }
 
-// Main exported function to run a job
-// ADDED: groupTitle and groupColor arguments
-export async function processUrlJob({ urls, windowId, delayMs, jobId, groupTitle = "Failed LP", groupColor = "red" }) {
-    if (urls.length > MAX_TABS_PER_JOB) {
-        throw new Error(`Cannot open more than ${MAX_TABS_PER_JOB} tabs at once.`);
+// Tabs opened before a restart may have been closed by the user in the meantime
+async function existingTabIds(tabIds) {
+    const alive = await Promise.all(tabIds.map(id => chrome.tabs.get(id).then(() => id, () => null)));
+    return alive.filter(id => id != null);
+}
+
+// ===== DE-DUPLICATION =====
+
+// Compare URLs the way the rules would normalize them, falling back to the raw string
+function dedupeKey(url, rules) {
+    return sanitizeUrl(url, rules) || url;
+}
+
+// Before opening anything, drop ("skip") or adopt ("move") URLs already open in the window
+async function dedupeAgainstOpenTabs(job, mode, rules, report) {
+    const openTabs = await chrome.tabs.query({ windowId: job.windowId });
+    const byKey = new Map();
+    for (const tab of openTabs) {
+        const url = tab.pendingUrl || tab.url;
+        if (url) byKey.set(dedupeKey(url, rules), tab);
     }
 
-    const tabIds = [];
-    jobs.set(jobId, { cancelled: false, timestamp: Date.now() });
+    job.pending = job.pending.filter(url => {
+        const tab = byKey.get(dedupeKey(url, rules));
+        if (!tab) return true;
+        if (mode === 'move') {
+            job.reusedTabIds.push(tab.id);
+            job.tabUrls[tab.id] = url;
+        }
+        else report({ type: 'skipped', url, reason: 'Already open', duplicate: true });
+        return false;
+    });
+}
 
+// Reuse a group in the window whose title matches instead of creating a second one.
+// `match` is the exact title, or a RegExp for titles built from a template with {count}/{time}…
+async function findGroupByTitle(windowId, match) {
     try {
-        for (const u of urls) {
-            if (jobs.get(jobId)?.cancelled) break;
+        const groups = await chrome.tabGroups.query({ windowId });
+        const group = groups.find(g => (match instanceof RegExp ? match.test(g.title || "") : g.title === match));
+        return group?.id ?? null;
+    } catch (e) {
+        return null;
+    }
+}
 
-            const tab = await createTabWithRetry({ url: u, windowId, jobId });
-            if (tab?.id != null) tabIds.push(tab.id);
+// The same account always gets the same group color, run after run
+function accountColor(account) {
+    let hash = 0;
+    for (const ch of account.toLowerCase()) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+    return TAB_GROUP_COLORS[hash % TAB_GROUP_COLORS.length];
+}
+
+// The groups a finished job's tabs go into: one per account when the job has row context
+// (see url-context.js) and the setting is on, else the single group it always had.
+// URLs without an account stay in the job's usual group. `match` finds a group to append to:
+// any title the settings template can produce, or exactly the given title.
+function groupPlan(job, settings, tabIds) {
+    const title = job.groupTitle ?? formatGroupTitle(settings.groupTitle, { count: tabIds.length });
+    const color = job.groupColor ?? settings.groupColor;
+    const match = job.groupTitle ?? groupTitlePattern(settings.groupTitle);
+    const single = [{ account: null, title, color, match, tabIds }];
+    if (!settings.groupByAccount || !job.contexts || !Object.keys(job.contexts).length) return single;
+
+    const urlOf = (id) => job.tabUrls?.[id];
+    const parts = splitByAccount(tabIds, Object.fromEntries(tabIds.map(id => [id, job.contexts[urlOf(id)]])));
+    if (parts.length === 1 && parts[0].account == null) return single;
+    return parts.map(({ account, urls: ids }) => account == null
+        ? { account, title: job.groupTitle ?? formatGroupTitle(settings.groupTitle, { count: ids.length }), color, match, tabIds: ids }
+        : { account, title: account, color: accountColor(account), match: account, tabIds: ids });
+}
+
+// Group `tabIds` into a new group, or the window's matching group when appending.
+// An appended-to group gets its title redone so {count} covers all of its tabs.
+async function groupTabs(job, settings, { title, color, match, tabIds }) {
+    const existingGroupId = settings.appendToExistingGroup ? await findGroupByTitle(job.windowId, match) : null;
+    if (existingGroupId != null) {
+        const groupId = await chrome.tabs.group({ tabIds, groupId: existingGroupId });
+        if (match instanceof RegExp && /\{count\}/.test(settings.groupTitle)) {
+            const { length: count } = await chrome.tabs.query({ groupId });
+            await chrome.tabGroups.update(groupId, { title: formatGroupTitle(settings.groupTitle, { count }) });
+        }
+        return groupId;
+    }
+    const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: job.windowId } });
+    await chrome.tabGroups.update(groupId, { title, color });
+    return groupId;
+}
+
+// Black Frames with detection on: analyze every pending MP4 first and keep only the suspect ones.
+// Entries are saved one by one so a resumed job does not analyze the same video twice.
+async function detectSuspects(job, settings) {
+    job.blackFrameReport ||= [];
+    const analyzed = new Set(job.blackFrameReport.map(e => e.url));
+    const options = { threshold: settings.blackThreshold, sampleMs: settings.sampleMs };
+    try {
+        await openDetector();
+        for (const url of job.pending) {
+            if (analyzed.has(url)) continue;
+            if (isCancelled(job.jobId) || await refreshCancelled(job)) break;
+            emit(job, { type: 'analyzing', url, index: analyzed.size + 1, total: job.pending.length });
+            job.blackFrameReport.push(await detectBlackFrames(url, options));
+            analyzed.add(url);
+            await saveJob(job);
+        }
+    } finally {
+        await closeDetector();
+    }
 
-            if (delayMs > 0) {
-                const waited = await sleep(delayMs, () => jobs.get(jobId)?.cancelled);
+    const suspect = new Set(job.blackFrameReport.filter(e => e.suspect).map(e => e.url));
+    job.pending = job.pending.filter(u => suspect.has(u));
+    job.detectionDone = true;
+    await saveJob(job);
+}
+
+// Open the pending URLs of a job, persisting progress after every tab, then group them
+async function runJob(job) {
+    const settings = await getJobSettingsFor(job.jobType);
+    const rules = await getUrlRules();
+    const delayMs = job.useDelay ? settings.delayMs : 0;
+    jobs.set(job.jobId, job);
+    job.tabUrls ||= {};
+
+    const report = (event) => {
+        if (event.type === 'skipped') job.skipped.push({ url: event.url, reason: event.reason, duplicate: !!event.duplicate });
+        emit(job, event);
+    };
+
+    // Everything after jobs.set() sits in the try, so a failing step cannot leave the job behind
+    try {
+        if (!job.dedupeDone) {
+            if (settings.dedupe !== 'off') await dedupeAgainstOpenTabs(job, settings.dedupe, rules, report);
+            job.dedupeDone = true;
+            await saveJob(job);
+        }
+        if (settings.detectBlackFrames && !job.detectionDone) await detectSuspects(job, settings);
+        emit(job, { type: 'started', ...snapshot(job) });
+
+        while (job.pending.length) {
+            if (isCancelled(job.jobId) || await refreshCancelled(job)) break;
+
+            const u = job.pending[0];
+            job.currentUrl = u;
+            const forced = !!job.forcedUrls?.includes(u);
+            const tab = await createTabWithRetry({ url: u, windowId: job.windowId, jobId: job.jobId, rules, forced, maxRetries: settings.maxRetries, report });
+            if (tab?.id != null) {
+                job.tabIds.push(tab.id);
+                job.tabUrls[tab.id] = u;
+            }
+            job.pending.shift();
+            job.timestamp = Date.now();
+            await saveJob(job);
+            emit(job, { type: 'progress', ...snapshot(job), url: u });
+
+            if (delayMs > 0 && job.pending.length) {
+                const waited = await sleep(delayMs, () => isCancelled(job.jobId));
                 if (!waited) break;
             }
         }
 
-        let groupId = null;
-        if (tabIds.length) {
+        const allTabIds = [...job.tabIds, ...job.reusedTabIds];
+        const tabIds = job.groupId == null ? await existingTabIds(allTabIds) : allTabIds;
+        const groups = groupPlan(job, settings, tabIds);
+        // groupIds fills up one group at a time, so a resumed job skips the groups it already made
+        job.groupIds ||= [];
+        if (tabIds.length && job.groupId == null) {
             try {
-                groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
-                await chrome.tabGroups.update(groupId, { title: groupTitle, color: groupColor });
+                for (const group of groups.slice(job.groupIds.length)) {
+                    job.groupIds.push(await groupTabs(job, settings, group));
+                    await saveJob(job);
+                }
+                job.groupId = job.groupIds[0];
+                await saveJob(job);
             } catch (e) {
                 console.warn('Grouping failed:', e);
             }
         }
 
-        const wasCancelled = !!jobs.get(jobId)?.cancelled;
-        return { count: tabIds.length, groupId, cancelled: wasCancelled };
+        const duplicates = job.skipped.filter(s => s.duplicate).length;
+        const result = {
+            count: tabIds.length,
+            groupId: job.groupId,
+            groupTitle: groups.map(g => g.title).join(", "),
+            // One entry per tab group (several when the job was split by account)
+            groups: groups.map((g, i) => ({ account: g.account, title: g.title, color: g.color, count: g.tabIds.length, groupId: job.groupIds[i] ?? null })),
+            groupIds: job.groupIds,
+            cancelled: !!job.cancelled,
+            skipped: job.skipped,
+            counts: { new: job.tabIds.length, reused: job.reusedTabIds.length, skipped: duplicates },
+            // { url, duration, blackSegments, suspect, error? } per analyzed MP4 (detection on only)
+            ...(job.blackFrameReport ? { blackFrameReport: job.blackFrameReport } : {})
+        };
+        emit(job, { type: 'finished', result });
+        return result;
     } finally {
-        jobs.delete(jobId);
+        await deleteJob(job.jobId);
     }
 }
 
-export function cancelJob(jobId) {
-    if (jobs.has(jobId)) {
-        jobs.get(jobId).cancelled = true;
-        return true;
+// Main exported function to run a job
+// jobType ("lp" | "blackFrames") selects the title/color/delay/limit settings from the options page;
+// groupTitle and groupColor still override them when given. `meta` is stored with the job and handed
+// back to onJobFinished listeners, which is how callers pick up jobs that finish after a restart.
+// `source` ("popup", "shortcut", ...) is kept for the job history. `contexts` (url -> { account,
+// company, region }, from url-context.js) splits the tabs into one group per account. `forcedUrls`
+// are URLs the rules reject that the user chose to open anyway (popup preview).
+export async function processUrlJob({ urls, windowId, jobId, jobType = "lp", useDelay = false, groupTitle, groupColor, meta = null, source = "popup", contexts = null, forcedUrls = [] }) {
+    if (jobs.has(jobId)) throw new Error("This job is already running.");
+    const existing = await loadJob(jobId);
+    if (existing) return runJob(existing);
+
+    const settings = await getJobSettingsFor(jobType);
+    if (urls.length > settings.maxTabs) {
+        throw new Error(`Cannot open more than ${settings.maxTabs} tabs at once.`);
     }
-    return false;
+
+    const job = {
+        jobId,
+        jobType,
+        windowId,
+        useDelay,
+        groupTitle,
+        groupColor,
+        meta,
+        source,
+        contexts,
+        forcedUrls,
+        urls: [...urls],
+        pending: [...urls],
+        total: urls.length,
+        currentUrl: null,
+        skipped: [],
+        tabIds: [],
+        tabUrls: {},
+        reusedTabIds: [],
+        dedupeDone: false,
+        groupId: null,
+        cancelled: false,
+        timestamp: Date.now()
+    };
+    deletedJobs.delete(jobId);
+    await saveJob(job);
+    return runJob(job);
 }
 
-export function getRunningJobIds() {
-    return [...jobs.entries()]
-        .filter(([, v]) => v && !v.cancelled)
-        .map(([id]) => id);
-}
\ No newline at end of file
+// Called when the service worker starts: pick up jobs that a previous instance left unfinished
+export async function resumeInterruptedJobs() {
+    const now = Date.now();
+    const stale = [];
+    const interrupted = [];
+    for (const job of await loadAllJobs()) {
+        if (jobs.has(job.jobId)) continue;
+        if (now - job.timestamp > JOB_MAX_AGE) stale.push(job.jobId);
+        else interrupted.push(job);
+    }
+    await Promise.all(stale.map(deleteJob));
+    return Promise.all(interrupted.map(job => runJob(job).catch(e => {
+        console.warn('Resuming job failed:', job.jobId, e);
+        return null;
+    })));
+}
+
+export async function cancelJob(jobId) {
+    const job = jobs.get(jobId) || await loadJob(jobId);
+    if (!job) return false;
+    job.cancelled = true;
+    await saveJob(job);
+    return true;
+}
+
+// Progress snapshots of every job that has not finished yet (survives worker restarts)
+export async function getJobSnapshots() {
+    return (await loadAllJobs()).map(job => snapshot(jobs.get(job.jobId) || job));
+}
+
+export async function getRunningJobIds() {
+    return (await loadAllJobs())
+        .filter(job => !job.cancelled)
+        .map(job => job.jobId);
+}
@@ -0,0 +1,8 @@
+// offscreen.js - Offscreen document: runs the black-frame analysis for the service worker
+import { analyzeUrl } from './black-frame-detect.js';
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.target !== 'offscreen' || msg.type !== 'ANALYZE_BLACK_FRAMES') return;
+  analyzeUrl(msg.url, msg.options).then(sendResponse);
+  return true;
+});
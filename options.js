@@ -0,0 +1,551 @@
+import { escapeHtml } from './utils.js';
+import { URL_RULE_GROUPS, URL_RULE_OPS, validateUrlRule, matchUrlRule } from './url-rules.js';
+import {
+  getUrlRules,
+  saveUrlRules,
+  resetUrlRules,
+  getJobSettings,
+  normalizeJobSettings,
+  saveJobSettings,
+  TAB_GROUP_COLORS,
+  GROUP_TITLE_TOKENS,
+  DEDUPE_MODES,
+  getHistoryLimit,
+  saveHistoryLimit,
+  getReportSettings,
+  saveReportSettings,
+  getReportTemplate,
+  saveReportTemplate,
+  REPORT_TEMPLATE_TOKENS,
+  getTitleSettings,
+  saveTitleSettings,
+  parseHolidays,
+  formatHolidays,
+  normalizeTitleSettings,
+  getPipelineSettings,
+  savePipelineSettings,
+  getTableStyle,
+  saveTableStyle,
+  normalizeTableStyle,
+  getSiteHosts,
+  saveSiteHosts,
+  parseHostList
+} from './settings.js';
+import { SORT_ORDERS } from './table-pipeline.js';
+import { DETECTION_ORIGINS, analyzeVideo, describeSegments } from './black-frame-detect.js';
+import { TABLE_THEMES, themedTableOptions, tableCaption } from './table-themes.js';
+import { tableElementHTML } from './utils.js';
+import { SITE_COMMANDS, DEFAULT_SITE_HOSTS, extraHosts, hostOrigins } from './site-access.js';
+import { TITLE_TOKENS, WEEKDAYS, formatReportTitle, titleTokens, isValidTimeZone } from './report-title.js';
+import { listReportDates, clearReports, formatDateKey, REPORT_TABLES } from './daily-reports.js';
+
+// ===== Toast =====
+function showToast(message, type = 'success') {
+  const toast = document.getElementById('status-toast');
+  if (!toast) return;
+  toast.textContent = message;
+  toast.className = type;
+  if (toast.dataset.timer) clearTimeout(toast.dataset.timer);
+  toast.dataset.timer = setTimeout(() => toast.classList.add('hidden'), 2500);
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+
+  // ===== JOB SETTINGS =====
+  const JOB_LABELS = { lp: '🚀 Failed LP', blackFrames: '🎥 Black Frames' };
+  const jobList = document.getElementById('jobSettingsList');
+  document.getElementById('groupTitleTokens').textContent = GROUP_TITLE_TOKENS.join(' ');
+
+  function renderJobSettings(settings) {
+    jobList.innerHTML = Object.entries(settings).map(([type, s]) => `
+      <div class="job-settings" data-job="${type}">
+        <h4>${JOB_LABELS[type] || type}</h4>
+        <label class="field">Group title
+          <input type="text" data-field="groupTitle" value="${escapeHtml(s.groupTitle)}">
+        </label>
+        <label class="field">Color
+          <select data-field="groupColor">
+            ${TAB_GROUP_COLORS.map(c => `<option value="${c}" ${c === s.groupColor ? 'selected' : ''}>${c}</option>`).join('')}
+          </select>
+        </label>
+        <label class="field">Delay (ms)
+          <input type="number" data-field="delayMs" min="0" max="60000" step="100" value="${s.delayMs}">
+        </label>
+        <label class="field">Max tabs
+          <input type="number" data-field="maxTabs" min="1" max="500" value="${s.maxTabs}">
+        </label>
+        <label class="field">Retries
+          <input type="number" data-field="maxRetries" min="0" max="100" value="${s.maxRetries}">
+        </label>
+        <div class="job-flags">
+          <label><input type="checkbox" data-field="chunkLargeJobs" ${s.chunkLargeJobs ? 'checked' : ''}><span>Split lists above the tab limit into batches</span></label>
+          <label><input type="checkbox" data-field="autoAdvance" ${s.autoAdvance ? 'checked' : ''}><span>Open the next batch when the previous group is closed</span></label>
+        </div>
+        <div class="job-flags">
+          <label class="field">Already-open URLs
+            <select data-field="dedupe">
+              ${Object.entries(DEDUPE_MODES).map(([v, label]) => `<option value="${v}" ${v === s.dedupe ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+          </label>
+          <label><input type="checkbox" data-field="appendToExistingGroup" ${s.appendToExistingGroup ? 'checked' : ''}><span>Append to an existing group with the same title (any {count}, {date} or {time})</span></label>
+          <label><input type="checkbox" data-field="groupByAccount" ${s.groupByAccount ? 'checked' : ''}><span>One group per account (from the row or line around each URL)</span></label>
+        </div>
+        ${'healthConcurrency' in s ? `
+        <div class="job-flags">
+          <label class="field">URL check: parallel requests
+            <input type="number" data-field="healthConcurrency" min="1" max="16" value="${s.healthConcurrency}">
+          </label>
+          <label class="field">URL check: timeout (ms)
+            <input type="number" data-field="healthTimeoutMs" min="1000" max="60000" step="500" value="${s.healthTimeoutMs}">
+          </label>
+        </div>` : ''}
+        ${'reviewGrid' in s ? `
+        <div class="job-flags">
+          <label><input type="checkbox" data-field="reviewGrid" ${s.reviewGrid ? 'checked' : ''}><span>Open in the review grid (players, thumbnails and verdicts on one page) instead of tabs</span></label>
+        </div>` : ''}
+        ${'detectBlackFrames' in s ? `
+        <div class="job-flags">
+          <label><input type="checkbox" data-field="detectBlackFrames" ${s.detectBlackFrames ? 'checked' : ''}><span>Detect black frames first and open only the suspect videos</span></label>
+          <label class="field">Darkness threshold (0–255)
+            <input type="number" data-field="blackThreshold" min="1" max="255" value="${s.blackThreshold}">
+          </label>
+          <label class="field">Sample every (ms)
+            <input type="number" data-field="sampleMs" min="40" max="10000" step="10" value="${s.sampleMs}">
+          </label>
+        </div>` : ''}
+      </div>`).join('');
+  }
+
+  renderJobSettings(await getJobSettings());
+  const historyLimitInput = document.getElementById('historyLimit');
+  historyLimitInput.value = await getHistoryLimit();
+
+  function readJobSettings() {
+    const raw = {};
+    jobList.querySelectorAll('.job-settings').forEach(el => {
+      const entry = {};
+      el.querySelectorAll('[data-field]').forEach(input => {
+        entry[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+      });
+      raw[el.dataset.job] = entry;
+    });
+    return normalizeJobSettings(raw);
+  }
+
+  document.getElementById('saveJobSettings').addEventListener('click', async () => {
+    const raw = readJobSettings();
+    // Detection downloads the MP4s; Chrome only asks for that access during the click
+    const denied = raw.blackFrames.detectBlackFrames &&
+      !await chrome.permissions.request({ origins: DETECTION_ORIGINS }).catch(() => false);
+    if (denied) raw.blackFrames.detectBlackFrames = false;
+    renderJobSettings(await saveJobSettings(raw));
+    historyLimitInput.value = await saveHistoryLimit(historyLimitInput.value);
+    showToast(denied ? 'Saved without black-frame detection (access was not granted)' : 'Job settings saved', denied ? 'error' : 'success');
+  });
+
+  document.getElementById('detectTestFile').addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    const resultEl = document.getElementById('detectTestResult');
+    if (!file) return;
+    const { blackThreshold, sampleMs } = readJobSettings().blackFrames;
+    resultEl.textContent = `Analyzing ${file.name}…`;
+    const objectUrl = URL.createObjectURL(file);
+    try {
+      const { duration, samples, blackSegments } = await analyzeVideo(objectUrl, { threshold: blackThreshold, sampleMs });
+      resultEl.textContent = blackSegments.length
+        ? `${file.name}: ${duration}s, ${samples} frames sampled — black: ${describeSegments(blackSegments)}`
+        : `${file.name}: ${duration}s, ${samples} frames sampled — no black frames`;
+    } catch (err) {
+      resultEl.textContent = `${file.name}: ${err.message}`;
+    } finally {
+      URL.revokeObjectURL(objectUrl);
+    }
+  });
+
+  // ===== REPORT TITLE =====
+  const titleFields = {
+    template: document.getElementById('titleTemplate'),
+    timeZone: document.getElementById('titleTimeZone'),
+    previousBusinessDay: document.getElementById('previousBusinessDay'),
+    holidays: document.getElementById('holidays')
+  };
+  const weekendBox = document.getElementById('weekendDays');
+  const titlePreview = document.getElementById('titlePreview');
+  document.getElementById('titleTokens').textContent = TITLE_TOKENS.join(' ');
+  document.getElementById('timeZoneList').innerHTML = (Intl.supportedValuesOf?.('timeZone') || [])
+    .map(tz => `<option value="${escapeHtml(tz)}"></option>`).join('');
+
+  function readTitleSettings() {
+    return {
+      template: titleFields.template.value,
+      timeZone: titleFields.timeZone.value,
+      previousBusinessDay: titleFields.previousBusinessDay.checked,
+      weekendDays: [...weekendBox.querySelectorAll('input:checked')].map(i => Number(i.value)),
+      holidays: parseHolidays(titleFields.holidays.value)
+    };
+  }
+
+  function renderTitleSettings(settings) {
+    titleFields.template.value = settings.template;
+    titleFields.timeZone.value = settings.timeZone;
+    titleFields.previousBusinessDay.checked = settings.previousBusinessDay;
+    titleFields.holidays.value = formatHolidays(settings.holidays);
+    weekendBox.innerHTML = '<span class="hint">Weekend:</span>' + WEEKDAYS.map((day, i) =>
+      `<label><input type="checkbox" value="${i}" ${settings.weekendDays.includes(i) ? 'checked' : ''}><span>${day.slice(0, 3)}</span></label>`
+    ).join('');
+    updateTitlePreview();
+  }
+
+  function updateTitlePreview() {
+    const raw = readTitleSettings();
+    if (!isValidTimeZone(raw.timeZone.trim())) {
+      titlePreview.textContent = `Unknown timezone "${raw.timeZone}"`;
+      return;
+    }
+    titlePreview.textContent = `Today's title: ${formatReportTitle(normalizeTitleSettings(raw))}`;
+  }
+
+  renderTitleSettings(await getTitleSettings());
+  document.getElementById('title-section').addEventListener('input', updateTitlePreview);
+
+  document.getElementById('saveTitleSettings').addEventListener('click', async () => {
+    if (!isValidTimeZone(titleFields.timeZone.value.trim())) return showToast('Unknown timezone', 'error');
+    renderTitleSettings(await saveTitleSettings(readTitleSettings()));
+    showToast('Title settings saved');
+  });
+
+  // ===== DAILY REPORTS =====
+  const REPORT_FIELDS = ['spikeThresholdPct', 'spikeMinCount', 'keepDays'];
+  const storedReports = document.getElementById('storedReports');
+
+  function renderReportSettings(settings) {
+    REPORT_FIELDS.forEach(f => { document.getElementById(f).value = settings[f]; });
+  }
+
+  async function renderStoredReports() {
+    const dates = await listReportDates();
+    storedReports.textContent = dates.length
+      ? `${dates.length} stored report(s): ${dates.slice(0, 10).map(formatDateKey).join(', ')}${dates.length > 10 ? '…' : ''}`
+      : 'No reports stored yet.';
+  }
+
+  renderReportSettings(await getReportSettings());
+  renderStoredReports();
+
+  document.getElementById('saveReportSettings').addEventListener('click', async () => {
+    const raw = Object.fromEntries(REPORT_FIELDS.map(f => [f, document.getElementById(f).value]));
+    renderReportSettings(await saveReportSettings(raw));
+    showToast('Report settings saved');
+  });
+
+  document.getElementById('clearReports').addEventListener('click', async () => {
+    if (!confirm('Delete all stored Company/Count reports?')) return;
+    await clearReports();
+    renderStoredReports();
+    showToast('Stored reports deleted');
+  });
+
+  const templateInput = document.getElementById('reportTemplate');
+  document.getElementById('reportTemplateTokens').textContent = REPORT_TEMPLATE_TOKENS.join(' ');
+  templateInput.value = await getReportTemplate();
+
+  document.getElementById('saveReportTemplate').addEventListener('click', async () => {
+    templateInput.value = await saveReportTemplate(templateInput.value);
+    showToast('Template saved');
+  });
+
+  document.getElementById('resetReportTemplate').addEventListener('click', async () => {
+    templateInput.value = await saveReportTemplate('');
+    showToast('Default template restored');
+  });
+
+  // ===== TABLE POST-PROCESSING =====
+  const pipelineList = document.getElementById('pipelineSettingsList');
+
+  function renderPipelineSettings(settings) {
+    pipelineList.innerHTML = Object.entries(settings).map(([type, s]) => `
+      <div class="job-settings" data-report="${type}">
+        <h4>${escapeHtml(REPORT_TABLES[type] || type)}</h4>
+        <label class="field">Sort
+          <select data-field="sort">
+            ${Object.entries(SORT_ORDERS).map(([v, label]) => `<option value="${v}" ${v === s.sort ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+        </label>
+        <label class="field">Top N rows (0 = all)
+          <input type="number" data-field="topN" min="0" max="1000" value="${s.topN}">
+        </label>
+        <div class="job-flags">
+          <label><input type="checkbox" data-field="mergeDuplicates" ${s.mergeDuplicates ? 'checked' : ''}><span>Merge rows that differ only in case or spacing</span></label>
+          <label><input type="checkbox" data-field="otherRow" ${s.otherRow ? 'checked' : ''}><span>Roll rows beyond the top N into "Other"</span></label>
+          <label><input type="checkbox" data-field="totalRow" ${s.totalRow ? 'checked' : ''}><span>Add a total row</span></label>
+        </div>
+        ${'normalizeErrors' in s ? `
+        <div class="job-flags">
+          <label><input type="checkbox" data-field="normalizeErrors" ${s.normalizeErrors ? 'checked' : ''}><span>Group errors by signature (IDs, URLs and numbers masked)</span></label>
+          <label><input type="checkbox" data-field="pivotVersions" ${s.pivotVersions ? 'checked' : ''}><span>Pivot: signatures × player versions</span></label>
+        </div>` : ''}
+      </div>`).join('');
+  }
+
+  renderPipelineSettings(await getPipelineSettings());
+
+  document.getElementById('savePipelineSettings').addEventListener('click', async () => {
+    const raw = {};
+    pipelineList.querySelectorAll('[data-report]').forEach(el => {
+      const entry = {};
+      el.querySelectorAll('[data-field]').forEach(input => {
+        entry[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+      });
+      raw[el.dataset.report] = entry;
+    });
+    renderPipelineSettings(await savePipelineSettings(raw));
+    showToast('Post-processing saved');
+  });
+
+  // ===== HTML TABLES =====
+  const themeSelect = document.getElementById('tableTheme');
+  const headersList = document.getElementById('tableHeadersList');
+  const tablePreview = document.getElementById('tableStylePreview');
+  const PREVIEW_ROWS = [["Acme Corp", "1250"], ["Globex", "340"], ["Initech", "12"], ["Total", "1602"]];
+  const previewDate = titleTokens(await getTitleSettings()).reportDate;
+
+  themeSelect.innerHTML = Object.entries(TABLE_THEMES)
+    .map(([key, theme]) => `<option value="${key}">${escapeHtml(theme.label)}</option>`).join('');
+
+  function readTableStyle() {
+    const headers = {};
+    headersList.querySelectorAll('[data-report]').forEach(el => {
+      headers[el.dataset.report] = [...el.querySelectorAll('input')].map(input => input.value);
+    });
+    return normalizeTableStyle({
+      theme: themeSelect.value,
+      headerRow: document.getElementById('tableHeaderRow').checked,
+      caption: document.getElementById('tableCaption').checked,
+      thresholds: {
+        enabled: document.getElementById('thresholdsEnabled').checked,
+        warn: document.getElementById('thresholdWarn').value,
+        alert: document.getElementById('thresholdAlert').value
+      },
+      headers
+    });
+  }
+
+  function renderTablePreview() {
+    const style = readTableStyle();
+    const headers = style.headers.companyCount;
+    const caption = tableCaption('companyCount', previewDate);
+    tablePreview.innerHTML = tableElementHTML(style.headerRow ? headers : [], PREVIEW_ROWS,
+      themedTableOptions(headers, PREVIEW_ROWS, style, { caption }));
+  }
+
+  function renderTableStyle(style) {
+    themeSelect.value = TABLE_THEMES[style.theme] ? style.theme : 'classic';
+    document.getElementById('tableHeaderRow').checked = style.headerRow;
+    document.getElementById('tableCaption').checked = style.caption;
+    document.getElementById('thresholdsEnabled').checked = style.thresholds.enabled;
+    document.getElementById('thresholdWarn').value = style.thresholds.warn;
+    document.getElementById('thresholdAlert').value = style.thresholds.alert;
+    headersList.innerHTML = Object.entries(style.headers).map(([type, headers]) => `
+      <div class="row" data-report="${type}">
+        <span class="hint">${escapeHtml(REPORT_TABLES[type] || type)}</span>
+        ${headers.map(h => `<input type="text" value="${escapeHtml(h)}">`).join('')}
+      </div>`).join('');
+    renderTablePreview();
+  }
+
+  renderTableStyle(await getTableStyle());
+  document.getElementById('table-style-section').addEventListener('input', renderTablePreview);
+
+  document.getElementById('saveTableStyle').addEventListener('click', async () => {
+    renderTableStyle(await saveTableStyle(readTableStyle()));
+    showToast('Table style saved');
+  });
+
+  // ===== SITE ACCESS =====
+  const siteHostsList = document.getElementById('siteHostsList');
+  const siteAccessStatus = document.getElementById('siteAccessStatus');
+  let savedSiteHosts = await getSiteHosts();
+
+  function readSiteHosts() {
+    return Object.fromEntries([...siteHostsList.querySelectorAll('[data-command]')]
+      .map(el => [el.dataset.command, parseHostList(el.value)]));
+  }
+
+  async function renderSiteHosts(siteHosts) {
+    siteHostsList.innerHTML = Object.entries(SITE_COMMANDS).map(([command, label]) => `
+      <label class="field">${escapeHtml(label)}
+        <textarea class="hosts-input" data-command="${command}" spellcheck="false">${escapeHtml(siteHosts[command].join('\n'))}</textarea>
+      </label>`).join('');
+
+    const extra = extraHosts(siteHosts);
+    const granted = await Promise.all(extra.map(h => chrome.permissions.contains({ origins: hostOrigins([h]) })));
+    const missing = extra.filter((_, i) => !granted[i]);
+    siteAccessStatus.textContent = missing.length
+      ? `⚠ Not granted yet: ${missing.join(', ')} — save again to allow them.`
+      : extra.length ? `Access granted for: ${extra.join(', ')}` : '';
+  }
+
+  await renderSiteHosts(savedSiteHosts);
+
+  document.getElementById('saveSiteHosts').addEventListener('click', async () => {
+    const siteHosts = readSiteHosts();
+    const extra = extraHosts(siteHosts);
+    // Requested before anything else is awaited: Chrome only prompts during the click
+    const granted = extra.length
+      ? await chrome.permissions.request({ origins: hostOrigins(extra) }).catch(() => false)
+      : true;
+
+    // Hosts that were added earlier and are gone now give their permission back
+    const dropped = extraHosts(savedSiteHosts).filter(h => !extra.includes(h));
+    if (dropped.length) await chrome.permissions.remove({ origins: hostOrigins(dropped) }).catch(() => false);
+
+    savedSiteHosts = await saveSiteHosts(siteHosts);
+    await renderSiteHosts(savedSiteHosts);
+    showToast(granted ? 'Sites saved' : 'Sites saved, but access was not granted', granted ? 'success' : 'error');
+  });
+
+  document.getElementById('resetSiteHosts').addEventListener('click', async () => {
+    const dropped = extraHosts(savedSiteHosts);
+    if (dropped.length) await chrome.permissions.remove({ origins: hostOrigins(dropped) }).catch(() => false);
+    savedSiteHosts = await saveSiteHosts(DEFAULT_SITE_HOSTS);
+    await renderSiteHosts(savedSiteHosts);
+    showToast('Default sites restored');
+  });
+
+  // ===== URL RULES =====
+  const rulesList = document.getElementById('rulesList');
+  const rulesErrors = document.getElementById('rulesErrors');
+  let rules = await getUrlRules();
+
+  function renderRule(rule, index) {
+    const groupOptions = Object.entries(URL_RULE_GROUPS)
+      .map(([value, label]) => `<option value="${value}" ${rule.group === value ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+      .join('');
+
+    return `
+      <div class="rule ${rule.enabled ? '' : 'disabled'}" data-index="${index}">
+        <div class="row">
+          <label><input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''}><span>Enabled</span></label>
+          <input type="text" data-field="name" class="grow" value="${escapeHtml(rule.name || '')}" placeholder="Rule name">
+          <select data-field="group">${groupOptions}</select>
+          ${rule.builtIn ? '<span class="badge">Built-in</span>' : ''}
+          <button class="danger rule-delete" data-action="delete">🗑 Delete</button>
+        </div>
+        <label class="field">Match pattern (regex, case-insensitive)
+          <input type="text" data-field="pattern" value="${escapeHtml(rule.pattern || '')}">
+        </label>
+        <label class="field">Find pattern (optional regex to locate candidates in free text)
+          <input type="text" data-field="find" value="${escapeHtml(rule.find || '')}">
+        </label>
+        <label><input type="checkbox" data-field="repairQuery" ${rule.repairQuery ? 'checked' : ''}><span>Repair query (turn extra "?" into "&amp;")</span></label>
+        <label class="field">Steps (JSON list, ops: ${Object.keys(URL_RULE_OPS).join(', ')})
+          <textarea data-field="steps">${escapeHtml(JSON.stringify(rule.steps || [], null, 2))}</textarea>
+        </label>
+      </div>`;
+  }
+
+  function renderRules() {
+    rulesList.innerHTML = rules.map(renderRule).join('');
+  }
+
+  // Read the editor back into rule objects; returns null (and shows errors) if anything is invalid
+  function collectRules() {
+    const errors = [];
+    const collected = [...rulesList.querySelectorAll('.rule')].map((el, i) => {
+      const original = rules[Number(el.dataset.index)] || {};
+      const get = (field) => el.querySelector(`[data-field="${field}"]`);
+
+      let steps = [];
+      try {
+        steps = JSON.parse(get('steps').value || '[]');
+      } catch (e) {
+        errors.push(`Rule ${i + 1}: steps are not valid JSON.`);
+      }
+
+      const rule = {
+        id: original.id || `custom-${Date.now()}-${i}`,
+        name: get('name').value.trim(),
+        group: get('group').value,
+        enabled: get('enabled').checked,
+        builtIn: !!original.builtIn,
+        pattern: get('pattern').value.trim(),
+        find: get('find').value.trim(),
+        repairQuery: get('repairQuery').checked,
+        steps
+      };
+      validateUrlRule(rule).forEach(msg => errors.push(`Rule ${i + 1}: ${msg}`));
+      return rule;
+    });
+
+    rulesErrors.innerHTML = errors.map(escapeHtml).join('<br>');
+    return errors.length ? null : collected;
+  }
+
+  function updateRuleTest() {
+    const input = document.getElementById('ruleTestInput').value.trim();
+    const out = document.getElementById('ruleTestResult');
+    if (!input) { out.textContent = ''; return; }
+
+    const current = collectRules();
+    if (!current) { out.textContent = 'Fix the rule errors above first.'; return; }
+
+    const match = matchUrlRule(input, current);
+    out.textContent = match
+      ? `✓ ${match.rule.name || match.rule.id} (${URL_RULE_GROUPS[match.rule.group]}) → ${match.url}`
+      : '✗ Rejected: no enabled rule accepts this URL.';
+  }
+
+  rulesList.addEventListener('click', (e) => {
+    if (e.target.closest('[data-action="delete"]')) {
+      // Drop just this rule's editor: the others keep their unsaved (even invalid) edits, and their
+      // data-index still points at the same entry of `rules` until the next save re-renders
+      e.target.closest('.rule').remove();
+      collectRules();
+      updateRuleTest();
+    }
+  });
+
+  rulesList.addEventListener('change', (e) => {
+    if (e.target.dataset.field === 'enabled') {
+      e.target.closest('.rule').classList.toggle('disabled', !e.target.checked);
+    }
+    updateRuleTest();
+  });
+
+  document.getElementById('addRule').addEventListener('click', () => {
+    // Appended without re-rendering, so edits in the other rules survive
+    rules.push({
+      id: `custom-${Date.now()}`,
+      name: 'New rule',
+      group: 'lp',
+      enabled: true,
+      pattern: '^https?://',
+      find: '',
+      repairQuery: true,
+      steps: []
+    });
+    rulesList.insertAdjacentHTML('beforeend', renderRule(rules[rules.length - 1], rules.length - 1));
+  });
+
+  document.getElementById('saveRules').addEventListener('click', async () => {
+    const collected = collectRules();
+    if (!collected) return showToast('Rules not saved — see errors', 'error');
+    rules = collected;
+    await saveUrlRules(rules);
+    renderRules();
+    showToast('URL rules saved');
+  });
+
+  document.getElementById('resetRules').addEventListener('click', async () => {
+    if (!confirm('Replace all rules with the built-in defaults?')) return;
+    rules = await resetUrlRules();
+    rulesErrors.innerHTML = '';
+    renderRules();
+    updateRuleTest();
+    showToast('Built-in rules restored');
+  });
+
+  document.getElementById('ruleTestInput').addEventListener('input', updateRuleTest);
+
+  renderRules();
+});
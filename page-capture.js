@@ -0,0 +1,133 @@
+/* page-capture.js - Functions injected into pages with chrome.scripting.executeScript.
+ * Each one is serialized on its own, so it must not reference anything outside its body. */
+
+// The selection as text and HTML, plus the whole table it sits in (its links carry the full
+// LP URLs even when only part of a row is selected). The table also comes as plain rows (cell text
+// and link hrefs) for url-context.js, since the service worker cannot parse HTML.
+// Run in all frames; null where nothing is selected.
+export function captureSelectionHtml() {
+  const sel = window.getSelection();
+  if (!sel || sel.rangeCount === 0 || !sel.toString().trim()) return null;
+
+  const range = sel.getRangeAt(0).cloneContents();
+  const div = document.createElement("div");
+  div.appendChild(range);
+
+  let node = sel.getRangeAt(0).commonAncestorContainer;
+  if (node?.nodeType === Node.TEXT_NODE) node = node.parentElement;
+  const table = (node instanceof Element) ? node.closest("table") : null;
+
+  const tableRows = table ? [...table.rows].map(tr => ({
+    cells: [...tr.cells].map(c => (c.innerText ?? c.textContent ?? "").replace(/\s+/g, " ").trim()),
+    links: [...tr.querySelectorAll("a[href]")].map(a => a.href),
+    header: !!tr.querySelector("th") && !tr.querySelector("td")
+  })) : [];
+
+  return {
+    text: sel.toString(),
+    html: div.innerHTML,
+    tableHtml: table ? table.outerHTML : "",
+    tableRows
+  };
+}
+
+// Read the table around the current selection as rows of cells. Handles real <table>s and
+// Grafana's div-based panels (role="table"/"grid" with role="row"/"cell"), including virtualized
+// panels that only render the visible rows: those are scrolled through and the rows collected.
+// Returns { text, rows } — rows is null when the selection is not inside a recognizable table.
+export async function captureSelectedTable() {
+  const sel = window.getSelection();
+  if (!sel || sel.rangeCount === 0 || !sel.toString().trim()) return null;
+
+  const range = sel.getRangeAt(0);
+  const text = sel.toString();
+  let node = range.commonAncestorContainer;
+  if (node?.nodeType === Node.TEXT_NODE) node = node.parentElement;
+  if (!(node instanceof Element)) return { text, rows: null };
+
+  const TABLE_SEL = 'table, [role="table"], [role="grid"], [role="treegrid"]';
+  const table = node.closest(TABLE_SEL) || node.querySelector(TABLE_SEL);
+  if (!table) return { text, rows: null };
+
+  const isHtmlTable = table.tagName === "TABLE";
+  const ROW_SEL = isHtmlTable ? "tr" : '[role="row"]';
+  const CELL_SEL = isHtmlTable ? "th, td" : '[role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]';
+
+  // Multi-line cells (wrapped error messages) stay in one cell
+  const cellText = (el) => (el.innerText ?? el.textContent ?? "").replace(/\s*\n\s*/g, " ").trim();
+
+  const readRows = () => [...table.querySelectorAll(ROW_SEL)]
+    .filter(r => r.closest(TABLE_SEL) === table)
+    .map(r => ({
+      el: r,
+      key: r.getAttribute("aria-rowindex") || null,
+      top: r.getBoundingClientRect().top,
+      header: !!r.querySelector('th, [role="columnheader"]'),
+      cells: [...r.querySelectorAll(CELL_SEL)].filter(c => c.closest(ROW_SEL) === r).map(cellText)
+    }))
+    .filter(r => r.cells.length);
+
+  let rows = readRows();
+  if (!rows.length) return { text, rows: null };
+
+  // Partial selection of a normal table: keep only the rows the selection touches (plus the header)
+  const selected = rows.filter(r => r.header || range.intersectsNode(r.el));
+  const wholeTable = selected.length === rows.length;
+  if (!wholeTable) return { text, rows: selected.map(r => r.cells) };
+
+  // Virtualized panel: scroll its body to collect the rows that are not rendered yet
+  const scroller = [...table.querySelectorAll("*")].find(el => el.scrollHeight > el.clientHeight + 4 &&
+    /(auto|scroll)/.test(getComputedStyle(el).overflowY));
+  if (scroller) {
+    const seen = new Map();
+    // Rows are identified by aria-rowindex when the panel sets it, else by their offset in the scrolled content
+    const add = (list) => list.forEach(r => {
+      const pos = r.top + scroller.scrollTop;
+      const key = r.header ? "header" : r.key || `${Math.round(pos)}:${r.cells.join("\u0001")}`;
+      if (!seen.has(key)) seen.set(key, { ...r, pos });
+    });
+    const original = scroller.scrollTop;
+    add(rows);
+    for (let y = 0; y < scroller.scrollHeight; y += Math.max(40, scroller.clientHeight - 40)) {
+      scroller.scrollTop = y;
+      await new Promise(resolve => setTimeout(resolve, 60));
+      add(readRows());
+    }
+    scroller.scrollTop = original;
+
+    rows = [...seen.values()].sort((a, b) => {
+      if (a.header !== b.header) return a.header ? -1 : 1;
+      if (a.key && b.key) return Number(a.key) - Number(b.key);
+      return a.pos - b.pos;
+    });
+  }
+
+  return { text, rows: rows.map(r => r.cells) };
+}
+
+// Insert an HTML email body at the cursor of the focused Gmail compose window (or the most
+// recently opened one when focus is elsewhere, e.g. in the extension popup).
+// Returns false when no compose window is open.
+export function insertIntoGmailCompose(html, text) {
+  const BODY_SEL = 'div[contenteditable="true"][role="textbox"], div[contenteditable="true"][g_editable="true"]';
+  const active = document.activeElement;
+  let body = active?.closest?.(BODY_SEL) || null;
+  if (!body) {
+    const open = [...document.querySelectorAll(BODY_SEL)].filter(el => el.offsetParent !== null);
+    body = open[open.length - 1] || null;
+    if (!body) return false;
+    body.focus();
+    // Put the cursor at the end so the report goes below anything already typed
+    const range = document.createRange();
+    range.selectNodeContents(body);
+    range.collapse(false);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }
+
+  if (document.execCommand("insertHTML", false, html)) return true;
+  if (document.execCommand("insertText", false, text)) return true;
+  body.insertAdjacentHTML("beforeend", html);
+  return true;
+}
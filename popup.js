@@ -1,16 +1,44 @@
 import {
-  MAX_TABS_PER_JOB,
   pad2,
   unique,
   extractAll,
+  diagnoseExtraction,
   extractIdomooMp4s,
   escapeHtml,
-  truncate,
-  parseCompanyCount,
-  parseVersionErrorCount,
-  rowsToTSV,
-  tableToHTML
+  truncate
 } from './utils.js';
+import {
+  getUrlRules,
+  getJobSettings,
+  getReportSettings,
+  getTitleSettings,
+  getExportFormats,
+  saveExportFormat,
+  getPipelineSettings,
+  getTableStyle
+} from './settings.js';
+import { applyPipeline, mediaErrorsTable } from './table-pipeline.js';
+import { formatReportTitle, titleTokens } from './report-title.js';
+import { openReviewGrid } from './black-frame-review.js';
+import { describeDetection } from './black-frame-detect.js';
+import { HEALTH_STATUS, checkUrls, checkOrigins, summarizeHealth } from './health-check.js';
+import { contextsFromText } from './url-context.js';
+import { URL_REJECT_REASONS } from './url-rules.js';
+import { getHistory, getHistoryEntry, undoHistoryEntry, clearHistory, JOB_SOURCES } from './job-history.js';
+import { parsePreset, describeIssues } from './grafana-parser.js';
+import {
+  dateKey,
+  formatDateKey,
+  listReportDates,
+  getReport,
+  saveReport,
+  compareReports,
+  statusRowStyles,
+  summarizeComparison,
+  saveLatestTable
+} from './daily-reports.js';
+import { EXPORT_FORMATS, renderExport, formatLabel } from './export-formats.js';
+import { tableCaption } from './table-themes.js';
 
 // Global variable to track current job for cancellation
 let currentJobId = null;
@@ -34,9 +62,11 @@ function showOverlay(title, description, type = 'success') {
       <div class="status-desc">${description}</div>
   `;
 
-  // ADDED: If loading, add a Cancel button directly to the overlay
+  // ADDED: If loading, add a progress bar and a Cancel button directly to the overlay
   if (type === 'loading') {
     contentHtml += `
+      <div class="progress"><div class="progress-bar" id="overlay-progress-bar"></div></div>
+      <div class="progress-detail" id="overlay-progress-detail"></div>
       <div style="margin-top:15px;">
         <button id="overlay-cancel-btn" class="danger" style="padding: 8px 16px; font-size:12px;">⏹ Stop Operation</button>
       </div>
@@ -71,6 +101,31 @@ function showOverlay(title, description, type = 'success') {
   }
 }
 
+// Update the loading overlay from a job progress event/snapshot (no-op if no loading card is shown)
+function updateProgress(evt) {
+  const bar = document.getElementById('overlay-progress-bar');
+  const detail = document.getElementById('overlay-progress-detail');
+  if (!bar || !detail) return;
+
+  const total = evt.total || 0;
+  const processed = evt.processed || 0;
+  bar.style.width = total ? `${Math.round((processed / total) * 100)}%` : '0%';
+
+  const title = document.querySelector('#status-overlay .status-title');
+  const desc = document.querySelector('#status-overlay .status-desc');
+  if (title) title.textContent = `Opening tabs… ${processed}/${total}`;
+  if (desc) desc.textContent = `${evt.opened || 0} opened${evt.skipped?.length ? `, ${evt.skipped.length} skipped` : ''}`;
+
+  const current = evt.url || evt.currentUrl;
+  detail.textContent = current ? truncate(current, 80) : '';
+}
+
+// Short note under the progress bar (retries, skipped URLs)
+function noteProgress(text) {
+  const detail = document.getElementById('overlay-progress-detail');
+  if (detail) detail.textContent = text;
+}
+
 // Allow clicking overlay to dismiss immediately (unless loading)
 document.addEventListener('DOMContentLoaded', () => {
   const overlay = document.getElementById('status-overlay');
@@ -86,7 +141,16 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+
+  // Active URL extraction rules (edited on the options page)
+  const urlRules = await getUrlRules();
+  const jobSettings = await getJobSettings();
+
+  document.getElementById('openOptions')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
 
   // ... (Shortcuts logic) ...
   async function loadShortcuts() {
@@ -99,6 +163,7 @@ document.addEventListener('DOMContentLoaded', () => {
         else if (cmd.name === 'format-media-errors') elementId = 'shortcut-errors';
         else if (cmd.name === 'copy-daily-report') elementId = 'shortcut-daily';
         else if (cmd.name === 'open-black-frames') elementId = 'shortcut-black-frames';
+        else if (cmd.name === 'compose-daily-report') elementId = 'shortcut-compose';
 
         if (elementId && cmd.shortcut) {
           const el = document.getElementById(elementId);
@@ -109,31 +174,16 @@ document.addEventListener('DOMContentLoaded', () => {
   }
   loadShortcuts();
 
-  // ... (Daily Report logic) ...
-  function pad2(n) { return String(n).padStart(2, '0'); }
-  function getDailyReportTextFull(d = new Date()) {
-    const dd = pad2(d.getDate());
-    const mm = pad2(d.getMonth() + 1);
-    const yy = pad2(d.getFullYear() % 100);
-    const day = d.toLocaleDateString('en-US', { weekday: 'long' });
-    return `Daily Report ${dd}.${mm}.${yy} ${day}`;
-  }
-  function getDailyReportTextShort(d = new Date()) {
-    const dd = pad2(d.getDate());
-    const mm = pad2(d.getMonth() + 1);
-    const yy = pad2(d.getFullYear() % 100);
-    const day = d.toLocaleDateString('en-US', { weekday: 'short' });
-    return `Daily Report ${dd}.${mm}.${yy} ${day}`;
-  }
-
+  // Daily Report title: same template/timezone/business-day settings as the shortcut (report-title.js)
+  const titleSettings = await getTitleSettings();
   const dailyTitleEl = document.getElementById('dailyReportTitle');
-  if (dailyTitleEl) dailyTitleEl.textContent = getDailyReportTextShort();
+  if (dailyTitleEl) dailyTitleEl.textContent = formatReportTitle(titleSettings);
 
   const dailyBtn = document.getElementById('copyDailyReport');
   if (dailyBtn) {
     dailyBtn.addEventListener('click', async () => {
       try {
-        await navigator.clipboard.writeText(getDailyReportTextFull());
+        await navigator.clipboard.writeText(formatReportTitle(titleSettings));
         dailyBtn.classList.add('copied');
         setTimeout(() => dailyBtn.classList.remove('copied'), 1500);
       } catch (e) { console.error(e); }
@@ -159,8 +209,12 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  // Delay toggle logic
+  // Delay toggle logic (the delay length itself is a per-job setting on the options page)
   const delayCheckbox = document.getElementById('useDelay');
+  const delayLabel = document.getElementById('useDelayLabel');
+  if (delayLabel && jobSettings.lp.delayMs === jobSettings.blackFrames.delayMs) {
+    delayLabel.textContent = `${jobSettings.lp.delayMs / 1000}s delay between tabs`;
+  }
   chrome.storage.local.get(['useDelayBetweenTabs'], (res) => {
     if (typeof res.useDelayBetweenTabs === 'boolean') delayCheckbox.checked = res.useDelayBetweenTabs;
   });
@@ -177,6 +231,18 @@ document.addEventListener('DOMContentLoaded', () => {
     } catch (e) { return truncate(String(u), 200); }
   }
 
+  // Pre-flight check results for the current text (url -> result, or "pending" while fetching)
+  let healthResults = new Map();
+  // Aborts the running check when the text it was started for changes
+  let healthCheck = null;
+
+  function healthBadge(u) {
+    const r = healthResults.get(u);
+    if (!r) return '';
+    if (r === 'pending') return '<span class="health" data-status="pending">…</span>';
+    return `<span class="health" data-status="${r.status}" title="${escapeHtml(r.detail)}">${escapeHtml(HEALTH_STATUS[r.status])}</span>`;
+  }
+
   function renderUrlPreview(allUrls, uniqueUrls) {
     const counts = document.getElementById("urlCounts");
     const preview = document.getElementById("urlPreview");
@@ -187,18 +253,76 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    counts.textContent = `Found ${allUrls.length} URL(s) → ${uniqueUrls.length} unique`;
+    const checked = [...healthResults.values()].filter(r => r !== 'pending');
+    counts.textContent = `Found ${allUrls.length} URL(s) → ${uniqueUrls.length} unique${checked.length ? ` · ${summarizeHealth(checked)}` : ''}`;
 
     preview.innerHTML = uniqueUrls.map((u, i) => {
-      return `<div class="url-line" title="${escapeHtml(u)}">${i + 1}. ${escapeHtml(formatUrlForPreview(u))}</div>`;
+      const detail = healthResults.get(u)?.detail;
+      return `<div class="url-line" title="${escapeHtml(detail ? `${u}\n${detail}` : u)}">${healthBadge(u)}${i + 1}. ${escapeHtml(formatUrlForPreview(u))}</div>`;
     }).join("");
   }
 
+  function refreshUrlPreview() {
+    const all = extractCombinedUrls(document.getElementById('urlInput').value || '');
+    renderUrlPreview(all, unique(all));
+  }
+
+  // Candidates the URL rules turned down, with the reason and a "force include" box.
+  // Ticked ones (kept across edits of the text) are opened as they are by the LP button.
+  const forcedSet = new Set();
+  const canForce = (candidate) => {
+    try {
+      return /^https?:$/.test(new URL(candidate).protocol);
+    } catch (e) {
+      return false;
+    }
+  };
+
+  function rejectedCandidates(text) {
+    return diagnoseExtraction(text, urlRules).filter(d => !d.accepted);
+  }
+
+  function forcedCandidates(text) {
+    return rejectedCandidates(text).map(d => d.candidate).filter(c => forcedSet.has(c) && canForce(c));
+  }
+
+  function renderRejected(text) {
+    const box = document.getElementById('urlRejected');
+    const rejected = rejectedCandidates(text);
+    if (!rejected.length) {
+      box.innerHTML = '';
+      return;
+    }
+    box.innerHTML = `<div class="rejected-title">⚠ ${rejected.length} link(s) skipped — tick to include anyway</div>` +
+      rejected.map(d => {
+        const reason = URL_REJECT_REASONS[d.reason] || d.reason;
+        const title = [d.candidate, d.detail && `${reason}: ${d.detail}`].filter(Boolean).join('\n');
+        return `<label class="url-line" title="${escapeHtml(title)}">
+          <input type="checkbox" data-candidate="${escapeHtml(d.candidate)}" ${forcedSet.has(d.candidate) ? 'checked' : ''} ${canForce(d.candidate) ? '' : 'disabled'}>
+          <span class="reject-reason">${escapeHtml(reason)}</span> ${escapeHtml(formatUrlForPreview(d.candidate))}</label>`;
+      }).join('');
+  }
+
+  document.getElementById('urlRejected').addEventListener('change', (e) => {
+    const candidate = e.target.dataset?.candidate;
+    if (!candidate) return;
+    if (e.target.checked) forcedSet.add(candidate);
+    else forcedSet.delete(candidate);
+  });
+
+  // Results only describe the text they were made for
+  function resetHealth() {
+    healthCheck?.abort();
+    healthCheck = null;
+    healthResults = new Map();
+    document.getElementById('healthActions').style.display = 'none';
+  }
+
   // Helper to extract BOTH types of URLs for preview
   function extractCombinedUrls(text) {
       if (!text) return [];
-      const standard = extractAll(text);
-      const mp4s = extractIdomooMp4s(text);
+      const standard = extractAll(text, urlRules);
+      const mp4s = extractIdomooMp4s(text, urlRules);
       // Combine them so the user sees everything
       return [...standard, ...mp4s];
   }
@@ -207,9 +331,11 @@ document.addEventListener('DOMContentLoaded', () => {
     try {
       const t = await navigator.clipboard.readText();
       document.getElementById('urlInput').value = t || '';
-      
+      resetHealth();
+
       const all = extractCombinedUrls(t);
       renderUrlPreview(all, unique(all));
+      renderRejected(t);
 
       if (t) showOverlay('Clipboard Loaded', `Found ${all.length} URLs in text`, 'info');
       else showOverlay('Clipboard Empty', 'No text found in clipboard', 'error');
@@ -221,14 +347,18 @@ document.addEventListener('DOMContentLoaded', () => {
 
   document.getElementById('urlInput').addEventListener('input', (e) => {
     const t = e.target.value || '';
+    resetHealth();
     // CHANGED: Use combined extraction so MP4s show up too
     const all = extractCombinedUrls(t);
     renderUrlPreview(all, unique(all));
+    renderRejected(t);
   });
 
   // Open URLs Logic
   const runBtn = document.getElementById('runUrls');
   const runBFBtn = document.getElementById('runBlackFrames');
+  // With the review grid on, the button opens review.html instead of a tab group
+  if (jobSettings.blackFrames.reviewGrid) runBFBtn.firstChild.textContent = '🎥 Review Black Frames ';
   const stopBtn = document.getElementById('stopOpen');
 
   function setRunning(running, totalCount = null) {
@@ -245,17 +375,19 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
-  // Helper to start job
-  function startOpenJob(urls, groupTitle, groupColor) {
+  // Helper to start job. `contexts` (url -> account/company/region) lets the job group by account;
+  // `forcedUrls` are rejected candidates the user included anyway.
+  function startOpenJob(urls, jobType, { source = "popup", contexts = null, forcedUrls = [] } = {}) {
+    const { maxTabs, chunkLargeJobs } = jobSettings[jobType];
     if (!urls.length) return showOverlay('No URLs', 'Please paste text containing URLs first.', 'error');
-    if (urls.length > MAX_TABS_PER_JOB) return showOverlay('Too Many URLs', `Limit is ${MAX_TABS_PER_JOB}. Found ${urls.length}.`, 'error');
+    if (urls.length > maxTabs && !chunkLargeJobs) return showOverlay('Too Many URLs', `Limit is ${maxTabs}. Found ${urls.length}.`, 'error');
 
     const jobId = `${Date.now()}-${Math.random()}`;
     currentJobId = jobId;
 
     chrome.storage.local.get(['useDelayBetweenTabs'], async (result) => {
       const delayEnabled = result.useDelayBetweenTabs || false;
-      setRunning(true, urls.length);
+      setRunning(true, Math.min(urls.length, maxTabs));
       const [currentTab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
       chrome.runtime.sendMessage({
@@ -263,38 +395,180 @@ document.addEventListener('DOMContentLoaded', () => {
         payload: { 
             urls, 
             windowId: currentTab.windowId, 
-            delayMs: delayEnabled ? 1000 : 0, 
+            useDelay: delayEnabled,
             jobId,
-            groupTitle,
-            groupColor
+            jobType,
+            source,
+            contexts,
+            forcedUrls
         }
       }, (resp) => {
         setRunning(false);
         if (!resp) return showOverlay('System Error', 'No response from background script', 'error');
 
         if (resp.ok) {
-          showOverlay('Action Complete', `Opened ${resp.count} Tabs.<br>Grouped as "${groupTitle}"`, 'success');
+          showJobComplete(resp);
         } else {
-          showOverlay('Action Failed', resp.error, 'error');
+          showOverlay('Action Failed', escapeHtml(resp.error), 'error');
         }
         currentJobId = null;
+        refreshBatchQueue();
       });
     });
   }
 
+  function describeGroups(result) {
+    if (!(result.groups?.length > 1)) return `Grouped as "${escapeHtml(result.groupTitle)}"`;
+    return `Grouped by account: ${result.groups.map(g => `${escapeHtml(g.title)} (${g.count})`).join(', ')}`;
+  }
+
+  function showJobComplete(result) {
+    const { new: opened = result.count, reused = 0, skipped: duplicates = 0 } = result.counts || {};
+    const failed = (result.skipped?.length || 0) - duplicates;
+    const details = [
+      reused ? `${reused} reused` : '',
+      duplicates ? `${duplicates} already open` : '',
+      failed > 0 ? `${failed} skipped` : ''
+    ].filter(Boolean).join(', ');
+    const detection = result.blackFrameReport ? `<br>🔍 ${escapeHtml(describeDetection(result.blackFrameReport))}` : '';
+    showOverlay('Action Complete', `Opened ${opened} Tabs.<br>${describeGroups(result)}${details ? `<br>${details}` : ''}${detection}`, 'success');
+  }
+
+  // Live progress from the background. The port also reattaches the popup to a job that was
+  // started earlier (from a previous popup, a shortcut, or before a service worker restart).
+  let reattached = false;
+  const progressPort = chrome.runtime.connect({ name: "job-progress" });
+  progressPort.onMessage.addListener((evt) => {
+    if (evt.type === 'snapshot') {
+      const running = evt.jobs.find(j => !j.cancelled);
+      if (running && !currentJobId) {
+        currentJobId = running.jobId;
+        reattached = true;
+        setRunning(true, running.total);
+        updateProgress(running);
+      }
+      return;
+    }
+
+    // A batch queue advancing on its own starts a new job; follow it if nothing else is tracked
+    if (evt.type === 'started' && !currentJobId) {
+      currentJobId = evt.jobId;
+      reattached = true;
+      setRunning(true, evt.total);
+    }
+    if (evt.jobId !== currentJobId) return;
+
+    if (evt.type === 'started' || evt.type === 'progress') updateProgress(evt);
+    else if (evt.type === 'retry') noteProgress(`Retrying (${evt.attempt}/${evt.maxRetries}): ${evt.error}`);
+    else if (evt.type === 'skipped') noteProgress(`Skipped: ${evt.reason}`);
+    else if (evt.type === 'analyzing') noteProgress(`Checking for black frames ${evt.index}/${evt.total}: ${truncate(evt.url, 60)}`);
+    else if (evt.type === 'finished' && reattached) {
+      // Jobs started by this popup get their result through sendResponse instead
+      setRunning(false);
+      showJobComplete(evt.result);
+      currentJobId = null;
+      reattached = false;
+      refreshBatchQueue();
+    }
+  });
+
+  // Batch queue (large lists split into several groups)
+  const queueBox = document.getElementById('batchQueue');
+  const queueText = document.getElementById('batchQueueText');
+
+  function refreshBatchQueue() {
+    chrome.runtime.sendMessage({ type: "QUEUE_STATUS" }, (resp) => {
+      const queue = resp?.queue;
+      if (!queue) {
+        queueBox.style.display = 'none';
+        return;
+      }
+      queueBox.style.display = '';
+      queueText.textContent = `📦 Batch ${queue.index}/${queue.total} opened — ${queue.remainingUrls} URL(s) in ${queue.remainingBatches} batch(es) waiting`;
+    });
+  }
+  refreshBatchQueue();
+
+  document.getElementById('nextBatch').addEventListener('click', () => {
+    setRunning(true);
+    showOverlay('Processing...', 'Opening next batch in background', 'loading');
+    chrome.runtime.sendMessage({ type: "NEXT_BATCH" }, (resp) => {
+      setRunning(false);
+      if (!resp) return showOverlay('System Error', 'No response from background script', 'error');
+      if (resp.ok) showOverlay('Batch Opened', `Opened ${resp.count} Tabs.<br>${describeGroups(resp)}`, 'success');
+      else showOverlay('Action Failed', escapeHtml(resp.error), 'error');
+      refreshBatchQueue();
+    });
+  });
+
+  document.getElementById('discardBatches').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: "CLEAR_QUEUE" }, () => {
+      showOverlay('Queue Discarded', 'Remaining batches were dropped', 'info');
+      refreshBatchQueue();
+    });
+  });
+
   runBtn.addEventListener('click', () => {
     const text = document.getElementById('urlInput').value || '';
-    const urls = unique(extractAll(text));
-    startOpenJob(urls, "Failed LP", "red");
+    const urls = unique(extractAll(text, urlRules));
+    const forcedUrls = forcedCandidates(text).filter(u => !urls.includes(u));
+    const all = [...urls, ...forcedUrls];
+    startOpenJob(all, "lp", { contexts: contextsFromText(text, all, urlRules), forcedUrls });
+  });
+
+  // Optional pre-flight step: fetch every LP (and its url= manifest) before deciding what to open
+  const checkBtn = document.getElementById('checkUrls');
+  checkBtn.addEventListener('click', async () => {
+    const urls = unique(extractAll(document.getElementById('urlInput').value || '', urlRules));
+    if (!urls.length) return showOverlay('No URLs', 'Please paste text containing URLs first.', 'error');
+
+    // Reading the responses needs access to every host involved; Chrome only asks during the click
+    const granted = await chrome.permissions.request({ origins: checkOrigins(urls) }).catch(() => false);
+    if (!granted) return showOverlay('No Access', 'The check needs access to the LP and manifest hosts.', 'error');
+
+    resetHealth();
+    const check = healthCheck = new AbortController();
+    urls.forEach(u => healthResults.set(u, 'pending'));
+    refreshUrlPreview();
+    checkBtn.disabled = true;
+
+    const { healthConcurrency, healthTimeoutMs } = jobSettings.lp;
+    const results = await checkUrls(urls, {
+      concurrency: healthConcurrency,
+      timeoutMs: healthTimeoutMs,
+      signal: check.signal,
+      onResult: (r) => {
+        healthResults.set(r.url, r);
+        refreshUrlPreview();
+      }
+    });
+    checkBtn.disabled = false;
+    // Edited mid-check: the results belong to the old text
+    if (check.signal.aborted) return;
+
+    const failing = results.filter(r => r.status !== 'ok').length;
+    const openFailing = document.getElementById('openFailing');
+    openFailing.textContent = `🚀 Open only failing LPs (${failing})`;
+    document.getElementById('healthActions').style.display = failing && failing < results.length ? '' : 'none';
+    showOverlay('Check Complete', escapeHtml(summarizeHealth(results)), failing ? 'info' : 'success');
+  });
+
+  document.getElementById('openFailing').addEventListener('click', () => {
+    const failing = [...healthResults.values()].filter(r => r !== 'pending' && r.status !== 'ok').map(r => r.url);
+    const text = document.getElementById('urlInput').value || '';
+    startOpenJob(failing, "lp", { contexts: contextsFromText(text, failing, urlRules) });
   });
 
   runBFBtn.addEventListener('click', () => {
     const text = document.getElementById('urlInput').value || '';
-    const urls = extractIdomooMp4s(text);
+    const urls = extractIdomooMp4s(text, urlRules);
     if (!urls.length) {
         return showOverlay('No MP4s', 'No black frame videos found in text.', 'error');
     }
-    startOpenJob(urls, "Black Frames", "grey");
+    if (jobSettings.blackFrames.reviewGrid) {
+      return chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => openReviewGrid(urls, tab?.windowId));
+    }
+    startOpenJob(urls, "blackFrames", { contexts: contextsFromText(text, urls, urlRules) });
   });
 
   stopBtn.addEventListener('click', () => {
@@ -304,23 +578,97 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
-  // Grafana Formatters
-  async function copyTSVOnly(headers, rows) {
-    const tsv = rowsToTSV(headers, rows);
-    await navigator.clipboard.writeText(tsv);
+  // Job History
+  const JOB_TYPE_LABELS = { lp: 'Failed LP', blackFrames: 'Black Frames' };
+  const historyList = document.getElementById('historyList');
+
+  function formatTimestamp(ts) {
+    const d = new Date(ts);
+    return `${pad2(d.getDate())}.${pad2(d.getMonth() + 1)} ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
   }
-  async function copyTableHTMLPlusTSV(headers, rows) {
-    const html = tableToHTML(headers, rows);
-    const tsv = rowsToTSV(headers, rows);
-    if (window.ClipboardItem) {
+
+  async function renderHistory() {
+    const history = await getHistory();
+    if (!history.length) {
+      historyList.innerHTML = `<div class="history-empty">No jobs yet. Opened tab groups will show up here.</div>`;
+      return;
+    }
+
+    historyList.innerHTML = history.map(e => {
+      const extra = [
+        e.counts.reused ? `${e.counts.reused} reused` : '',
+        e.counts.skipped ? `${e.counts.skipped} skipped` : '',
+        e.cancelled ? 'stopped' : '',
+        e.undone ? 'undone' : ''
+      ].filter(Boolean).join(' · ');
+      return `
+        <div class="history-item ${e.undone ? 'undone' : ''}" data-id="${escapeHtml(e.id)}">
+          <div class="history-title">${escapeHtml(e.groupTitle || JOB_TYPE_LABELS[e.jobType] || '')}
+            <span class="history-meta">${e.counts.opened} tab(s) · ${JOB_SOURCES[e.source] || e.source} · ${JOB_TYPE_LABELS[e.jobType] || e.jobType} · ${formatTimestamp(e.timestamp)}</span>
+          </div>
+          ${extra ? `<div class="history-meta">${escapeHtml(extra)}</div>` : ''}
+          <div class="history-actions">
+            <button data-action="reopen">↻ Reopen</button>
+            <button data-action="copy">⧉ Copy URLs</button>
+            <button data-action="undo" class="danger" ${e.undone || e.groupId == null ? 'disabled' : ''}>✖ Close tabs</button>
+          </div>
+        </div>`;
+    }).join('');
+  }
+  renderHistory();
+
+  // The background records finished jobs; re-render whenever the stored history changes
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.jobHistory) renderHistory();
+  });
+
+  historyList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const entry = await getHistoryEntry(btn.closest('.history-item').dataset.id);
+    if (!entry) return showOverlay('Not Found', 'This history entry no longer exists', 'error');
+
+    try {
+      if (btn.dataset.action === 'reopen') {
+        startOpenJob(entry.urls, entry.jobType, { source: 'history', contexts: entry.contexts || null, forcedUrls: entry.forcedUrls || [] });
+      } else if (btn.dataset.action === 'copy') {
+        await navigator.clipboard.writeText(entry.urls.join('\n'));
+        showOverlay('Copied', `${entry.urls.length} URL(s) copied to clipboard`, 'success');
+      } else if (btn.dataset.action === 'undo') {
+        const closed = await undoHistoryEntry(entry.id);
+        showOverlay('Undone', `Closed ${closed} tab(s) from "${escapeHtml(entry.groupTitle)}"`, 'success');
+        renderHistory();
+      }
+    } catch (err) {
+      showOverlay('Action Failed', escapeHtml(err.message), 'error');
+    }
+  });
+
+  document.getElementById('clearHistory').addEventListener('click', async () => {
+    await clearHistory();
+    renderHistory();
+  });
+
+  // Grafana Formatters: output in the format picked next to each button (remembered per formatter)
+  async function copyExport({ text, html }) {
+    if (html && window.ClipboardItem) {
       const blobHtml = new Blob([html], { type: "text/html" });
-      const blobTxt = new Blob([tsv], { type: "text/plain" });
+      const blobTxt = new Blob([text], { type: "text/plain" });
       await navigator.clipboard.write([new ClipboardItem({ "text/html": blobHtml, "text/plain": blobTxt })]);
     } else {
-      await navigator.clipboard.writeText(tsv);
+      await navigator.clipboard.writeText(text);
     }
   }
 
+  const exportFormats = await getExportFormats();
+  document.querySelectorAll('select[data-formatter]').forEach(select => {
+    select.innerHTML = Object.entries(EXPORT_FORMATS)
+      .map(([value, { label }]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('');
+    select.value = exportFormats[select.dataset.formatter];
+    select.addEventListener('change', () => saveExportFormat(select.dataset.formatter, select.value));
+  });
+  const pickedFormat = (formatter) => document.querySelector(`select[data-formatter="${formatter}"]`).value;
+
   document.getElementById('readGrafanaClip').addEventListener('click', async () => {
     try {
       const t = await navigator.clipboard.readText();
@@ -332,34 +680,130 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // CSV / data frame JSON exports: loaded into the textarea, the formatters detect the format
+  const grafanaInput = document.getElementById('grafanaInput');
+  const grafanaFile = document.getElementById('grafanaFile');
+
+  async function loadGrafanaFile(file) {
+    if (!file) return;
+    try {
+      grafanaInput.value = await file.text();
+      showOverlay('File Loaded', `${escapeHtml(file.name)} (${grafanaInput.value.length} characters)`, 'info');
+    } catch (e) {
+      showOverlay('Error', `Could not read ${escapeHtml(file.name)}`, 'error');
+    }
+  }
+
+  document.getElementById('importGrafanaFile').addEventListener('click', () => grafanaFile.click());
+  grafanaFile.addEventListener('change', async () => {
+    await loadGrafanaFile(grafanaFile.files[0]);
+    grafanaFile.value = '';
+  });
+
+  grafanaInput.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer?.types.includes('Files')) return;
+    e.preventDefault();
+    grafanaInput.classList.add('drop-target');
+  });
+  grafanaInput.addEventListener('dragleave', () => grafanaInput.classList.remove('drop-target'));
+  grafanaInput.addEventListener('drop', (e) => {
+    grafanaInput.classList.remove('drop-target');
+    const file = e.dataTransfer?.files?.[0];
+    if (!file) return;
+    e.preventDefault();
+    loadGrafanaFile(file);
+  });
+
+  // Day-over-day: every Company/Count format is stored under today's date; the select offers
+  // the stored past dates and defaults to the latest one
+  const compareSelect = document.getElementById('compareDate');
+
+  async function refreshCompareDates() {
+    const today = dateKey();
+    const dates = (await listReportDates()).filter(d => d < today);
+    const current = compareSelect.value;
+    compareSelect.innerHTML = '<option value="">No comparison</option>' +
+      dates.map(d => `<option value="${d}">${escapeHtml(formatDateKey(d))}</option>`).join('');
+    compareSelect.value = dates.includes(current) ? current : (dates[0] || '');
+  }
+  await refreshCompareDates();
+
+  // Table style is read per click so changes on the options page apply without reopening the popup
+  const tableExportOptions = async (type) => {
+    const tableStyle = await getTableStyle();
+    return { tableStyle, caption: tableCaption(type, titleTokens(titleSettings).reportDate) };
+  };
+
+  const SOURCE_LABELS = { csv: 'CSV export', json: 'data frame JSON' };
+  const sourceNote = (layout) => SOURCE_LABELS[layout] ? ` from ${SOURCE_LABELS[layout]}` : '';
+
   document.getElementById('formatGrafana').addEventListener('click', async () => {
     try {
       let source = (document.getElementById('grafanaInput').value || "").trim();
       if (!source) source = await navigator.clipboard.readText();
       if (!source) return showOverlay('No Data', 'Paste Grafana text first', 'error');
 
-      const rows = parseCompanyCount(source);
-      if (!rows.length) return showOverlay('Parse Failed', 'Could not find Company/Count data', 'error');
-
-      await copyTSVOnly([], rows);
-      showOverlay('Formatted & Copied!', `${rows.length} rows ready for Sheets`, 'success');
+      const { rows: parsed, issues, layout } = parsePreset(source, "companyCount");
+      if (!parsed.length) return showOverlay('Parse Failed', 'Could not find Company/Count data', 'error');
+
+      // Top-N and total rows only apply to the plain table (a comparison lists every company)
+      const { companyCount: pipeline } = await getPipelineSettings();
+      const rows = applyPipeline(parsed, 'companyCount', pipeline, { rollups: false });
+      await saveReport(rows);
+      const format = pickedFormat('companyCount');
+      const { tableStyle, caption } = await tableExportOptions('companyCount');
+      const warning = issues.length ? `<br>⚠ ${escapeHtml(describeIssues(issues))}` : '';
+      const previous = compareSelect.value ? await getReport(compareSelect.value) : null;
+
+      if (previous) {
+        const comparison = compareReports(rows, previous.rows, await getReportSettings());
+        const rowStyles = statusRowStyles(comparison.statuses);
+        await copyExport(renderExport(format, comparison.headers, comparison.rows, { headerRow: true, rowStyles, tableStyle, caption }));
+        await saveLatestTable('companyCount', { headers: comparison.headers, rows: comparison.rows, rowStyles });
+        showOverlay('Formatted & Copied!',
+          `${rows.length} rows${sourceNote(layout)} as ${escapeHtml(formatLabel(format))} vs ${escapeHtml(formatDateKey(previous.date))}: ${summarizeComparison(comparison.statuses)}${warning}`,
+          'success');
+      } else {
+        const finalRows = applyPipeline(rows, 'companyCount', pipeline);
+        const headers = tableStyle.headers.companyCount;
+        await copyExport(renderExport(format, headers, finalRows, { headerRow: tableStyle.headerRow, tableStyle, caption }));
+        await saveLatestTable('companyCount', { headers, rows: finalRows });
+        showOverlay('Formatted & Copied!', `${rows.length} rows${sourceNote(layout)} as ${escapeHtml(formatLabel(format))}${warning}`, 'success');
+      }
+      await refreshCompareDates();
     } catch (e) {
       showOverlay('Error', e.message, 'error');
     }
   });
 
+  document.getElementById('composeReport').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'COMPOSE_REPORT' }, (res) => {
+      if (chrome.runtime.lastError || !res) return showOverlay('Error', 'Could not reach the background worker', 'error');
+      if (!res.ok) return showOverlay('Not Inserted', escapeHtml(res.error), 'error');
+      showOverlay(res.missing.length ? 'Inserted with Placeholders' : 'Report Inserted', escapeHtml(res.message), res.missing.length ? 'info' : 'success');
+    });
+  });
+
   document.getElementById('formatGrafana3').addEventListener('click', async () => {
     try {
       let source = (document.getElementById('grafanaInput').value || "").trim();
       if (!source) source = await navigator.clipboard.readText();
       if (!source) return showOverlay('No Data', 'Paste Grafana text first', 'error');
 
-      const rowsVEC = parseVersionErrorCount(source);
+      const { rows: rowsVEC, issues, layout } = parsePreset(source, "versionErrorCount");
       if (!rowsVEC.length) return showOverlay('Parse Failed', 'Could not find Version/Error data', 'error');
 
-      const finalRows = rowsVEC.map(([version, error, count]) => [error, version, count]);
-      await copyTableHTMLPlusTSV([], finalRows);
-      showOverlay('Formatted & Copied!', `${finalRows.length} rows (HTML Table + TSV)`, 'success');
+      const { mediaErrors: pipeline } = await getPipelineSettings();
+      const table = mediaErrorsTable(rowsVEC, pipeline);
+      const format = pickedFormat('mediaErrors');
+      const { tableStyle, caption } = await tableExportOptions('mediaErrors');
+      // The pivot's version columns only exist in its own headers, so it always keeps them
+      const headers = table.pivot ? table.headers : tableStyle.headers.mediaErrors;
+      const headerRow = table.pivot || tableStyle.headerRow;
+      await copyExport(renderExport(format, headers, table.rows, { headerRow, tableStyle, caption }));
+      await saveLatestTable('mediaErrors', { headers, rows: table.rows });
+      const warning = issues.length ? `<br>⚠ ${escapeHtml(describeIssues(issues))}` : '';
+      showOverlay('Formatted & Copied!', `${table.rows.length} rows${sourceNote(layout)} as ${escapeHtml(formatLabel(format))}${warning}`, 'success');
     } catch (e) {
       showOverlay('Error', e.message, 'error');
     }
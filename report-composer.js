@@ -0,0 +1,71 @@
+/* report-composer.js - Builds the Daily Report email body from the template and the latest tables */
+
+import { escapeHtml, tableElementHTML, rowsToTSV } from './utils.js';
+import { dateKey, formatDateKey, REPORT_TABLES } from './daily-reports.js';
+import { themedTableOptions, tableCaption } from './table-themes.js';
+
+const PLACEHOLDER_STYLE = "padding:8px 12px;border:1px dashed #d93025;color:#d93025;background:#fce8e6;";
+
+function placeholder(type, table) {
+    const name = REPORT_TABLES[type];
+    const last = table ? ` (last one is from ${formatDateKey(table.date)})` : "";
+    return `[${name}: not formatted today${last} — format it in the Grafana tab, then compose again]`;
+}
+
+// Render the template. Tables count only when they were formatted today; otherwise (or when
+// missing altogether) their section gets a visible placeholder. `reportDate` fills {date}
+// (see report-title.js); `tableStyle` (settings.js) styles the tables. Returns { html, text, missing }.
+export function composeReport(template, { tables = {}, title, reportDate, tableStyle = null, date = new Date() }) {
+    const today = dateKey(date);
+    const vars = { title, date: reportDate ?? formatDateKey(today) };
+    const fill = (s) => s.replace(/\{(title|date)\}/g, (_, k) => vars[k]);
+
+    const html = [];
+    const text = [];
+    const missing = [];
+    let paragraph = [];
+
+    const flush = () => {
+        if (!paragraph.length) return;
+        html.push(`<p style="margin:0 0 12px;">${paragraph.map(escapeHtml).join("<br>")}</p>`);
+        text.push(paragraph.join("\n"), "");
+        paragraph = [];
+    };
+
+    for (const raw of String(template).replace(/\r\n?/g, "\n").split("\n")) {
+        const line = raw.trim();
+        const tableToken = line.match(/^\{(\w+)\}$/)?.[1];
+
+        if (!line) {
+            flush();
+        } else if (tableToken && tableToken in REPORT_TABLES) {
+            flush();
+            const table = tables[tableToken];
+            if (table?.date === today && table.rows?.length) {
+                const headers = table.headers || [];
+                const caption = tableCaption(tableToken, vars.date);
+                html.push(tableElementHTML(headers, table.rows, themedTableOptions(headers, table.rows, tableStyle, { caption, rowStyles: table.rowStyles })));
+                text.push(rowsToTSV(table.headers || [], table.rows), "");
+            } else {
+                const note = placeholder(tableToken, table);
+                missing.push(tableToken);
+                html.push(`<p style="${PLACEHOLDER_STYLE}">${escapeHtml(note)}</p>`);
+                text.push(note, "");
+            }
+        } else if (line === "{title}") {
+            flush();
+            html.push(`<p style="margin:0 0 12px;font-size:16px;font-weight:bold;">${escapeHtml(title)}</p>`);
+            text.push(title, "");
+        } else if (line.startsWith("## ")) {
+            flush();
+            const heading = fill(line.slice(3));
+            html.push(`<p style="margin:16px 0 6px;font-weight:bold;">${escapeHtml(heading)}</p>`);
+            text.push(heading);
+        } else {
+            paragraph.push(fill(raw.trimEnd()));
+        }
+    }
+    flush();
+
+    return { html: html.join(""), text: text.join("\n").trim(), missing };
+}
@@ -0,0 +1,89 @@
+/* report-title.js - Daily Report title: template tokens, reporting timezone and business-day rules.
+ * Shared by the popup (button + preview), the copy-daily-report shortcut and the report composer. */
+
+import { pad2, fillTemplate } from './utils.js';
+
+export const TITLE_TOKENS = ["{dd}", "{mm}", "{yy}", "{yyyy}", "{weekday}", "{weekdayShort}", "{reportDate}"];
+
+export const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Calendar date (y, m, d) of `now` in `timeZone` ("" = the browser's own timezone)
+export function calendarDate(now = new Date(), timeZone = "") {
+    if (!timeZone) return { y: now.getFullYear(), m: now.getMonth() + 1, d: now.getDate() };
+    const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+        timeZone, year: "numeric", month: "numeric", day: "numeric"
+    }).formatToParts(now).map(p => [p.type, p.value]));
+    return { y: Number(parts.year), m: Number(parts.month), d: Number(parts.day) };
+}
+
+export function isValidTimeZone(timeZone) {
+    if (!timeZone) return true;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Civil-date arithmetic in UTC so DST changes never shift the day
+function addDays({ y, m, d }, days) {
+    const t = new Date(Date.UTC(y, m - 1, d + days));
+    return { y: t.getUTCFullYear(), m: t.getUTCMonth() + 1, d: t.getUTCDate() };
+}
+
+function weekdayOf({ y, m, d }) {
+    return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+function isoDate({ y, m, d }) {
+    return `${y}-${pad2(m)}-${pad2(d)}`;
+}
+
+function isBusinessDay(date, { weekendDays = [], holidays = [] }) {
+    return !weekendDays.includes(weekdayOf(date)) && !holidays.some(h => h.date === isoDate(date));
+}
+
+// The days a report covers. Normally just today; with `previousBusinessDay` it is the last
+// business day before today plus the weekend/holidays after it (Monday covers Fri–Sun).
+export function coveredPeriod(today, settings) {
+    if (!settings.previousBusinessDay) return { from: today, to: today };
+    const to = addDays(today, -1);
+    let from = to;
+    // Bounded so a misconfigured week (every day a weekend day) cannot loop forever
+    for (let i = 0; i < 31 && !isBusinessDay(from, settings); i++) from = addDays(from, -1);
+    return { from, to };
+}
+
+function formatDay(date) {
+    return `${pad2(date.d)}.${pad2(date.m)}.${pad2(date.y % 100)}`;
+}
+
+function formatPeriod({ from, to }) {
+    if (isoDate(from) === isoDate(to)) return formatDay(from);
+    const start = from.y === to.y ? `${pad2(from.d)}.${pad2(from.m)}` : formatDay(from);
+    return `${start}–${formatDay(to)}`;
+}
+
+// Token values for `now` in the reporting timezone. {dd}…{weekdayShort} are the day the report
+// is about: today, or with `previousBusinessDay` the last business day (Friday on a Monday).
+// {reportDate} is the whole covered period ("31.05.24", or "31.05–02.06.24" over a weekend).
+export function titleTokens(settings, now = new Date()) {
+    const today = calendarDate(now, settings.timeZone);
+    const period = coveredPeriod(today, settings);
+    const day = period.from;
+    const weekday = WEEKDAYS[weekdayOf(day)];
+    return {
+        dd: pad2(day.d),
+        mm: pad2(day.m),
+        yy: pad2(day.y % 100),
+        yyyy: String(day.y),
+        weekday,
+        weekdayShort: weekday.slice(0, 3),
+        reportDate: formatPeriod(period)
+    };
+}
+
+export function formatReportTitle(settings, now = new Date()) {
+    return fillTemplate(settings.template, titleTokens(settings, now));
+}
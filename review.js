@@ -0,0 +1,150 @@
+/* review.js - Black Frames review grid page: one player per MP4 with thumbnails, shared
+ * play/step/jump controls, a verdict per video and the copyable summary */
+
+import { escapeHtml } from './utils.js';
+import { VERDICTS, THUMBNAIL_OFFSETS, getReview, toggleVerdict, summarizeReview } from './black-frame-review.js';
+
+// ===== Toast =====
+function showToast(message, type = 'success') {
+  const toast = document.getElementById('status-toast');
+  if (!toast) return;
+  toast.textContent = message;
+  toast.className = type;
+  if (toast.dataset.timer) clearTimeout(toast.dataset.timer);
+  toast.dataset.timer = setTimeout(() => toast.classList.add('hidden'), 2500);
+}
+
+// Resolves once `video` has seeked to `time` (or gave up: broken file, 5s timeout)
+function seekTo(video, time) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      video.removeEventListener('seeked', done);
+      video.removeEventListener('error', done);
+      resolve();
+    };
+    const timer = setTimeout(done, 5000);
+    video.addEventListener('seeked', done);
+    video.addEventListener('error', done);
+    video.currentTime = time;
+  });
+}
+
+function whenLoaded(video) {
+  if (video.readyState >= 1) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    video.addEventListener('loadedmetadata', () => resolve(true), { once: true });
+    video.addEventListener('error', () => resolve(false), { once: true });
+  });
+}
+
+// Thumbnails come from a detached helper video so the visible player keeps its position.
+// Canvases are only displayed, never read back, so cross-origin MP4s work without CORS.
+async function drawThumbnails(url, canvases) {
+  const helper = document.createElement('video');
+  helper.muted = true;
+  helper.preload = 'auto';
+  helper.src = url;
+  if (!await whenLoaded(helper) || !Number.isFinite(helper.duration)) return;
+
+  for (const [i, offset] of THUMBNAIL_OFFSETS.entries()) {
+    await seekTo(helper, helper.duration * offset);
+    const canvas = canvases[i];
+    canvas.width = 160;
+    canvas.height = Math.round(160 * (helper.videoHeight / helper.videoWidth || 9 / 16));
+    canvas.getContext('2d').drawImage(helper, 0, 0, canvas.width, canvas.height);
+  }
+  helper.removeAttribute('src');
+  helper.load();
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const grid = document.getElementById('reviewGrid');
+  const summary = document.getElementById('reviewSummary');
+  const errorEl = document.getElementById('reviewError');
+
+  const id = new URLSearchParams(location.search).get('id');
+  let review = id ? await getReview(id) : null;
+  if (!review) {
+    errorEl.hidden = false;
+    errorEl.textContent = 'This review is no longer available (reviews are kept until Chrome is closed). Open the Black Frames again.';
+    return;
+  }
+
+  const videos = () => [...grid.querySelectorAll('video')];
+  const renderSummary = () => {
+    summary.value = summarizeReview(review);
+    const done = review.urls.filter(u => VERDICTS[review.verdicts[u]]).length;
+    document.getElementById('reviewCount').textContent = `${done}/${review.urls.length} reviewed`;
+  };
+
+  grid.innerHTML = review.urls.map((url, i) => `
+    <div class="video-card" data-index="${i}" data-verdict="${escapeHtml(review.verdicts[url] || '')}">
+      <video src="${escapeHtml(url)}" controls muted preload="metadata"></video>
+      <div class="thumbnails">
+        ${THUMBNAIL_OFFSETS.map(o => `<canvas data-offset="${o}" title="Jump to ${Math.round(o * 100)}%"></canvas>`).join('')}
+      </div>
+      <a class="hint" href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(url.split('/').pop())}</a>
+      <div class="verdicts">
+        ${Object.entries(VERDICTS).map(([key, label]) => `
+          <button data-verdict="${key}" class="${review.verdicts[url] === key ? 'active' : ''}">${escapeHtml(label)}</button>`).join('')}
+      </div>
+    </div>`).join('');
+  renderSummary();
+
+  grid.addEventListener('click', async (e) => {
+    const card = e.target.closest('.video-card');
+    if (!card) return;
+    const url = review.urls[Number(card.dataset.index)];
+
+    const thumb = e.target.closest('canvas[data-offset]');
+    if (thumb) {
+      const video = card.querySelector('video');
+      if (Number.isFinite(video.duration)) video.currentTime = video.duration * Number(thumb.dataset.offset);
+      return;
+    }
+
+    const button = e.target.closest('button[data-verdict]');
+    if (!button) return;
+    // Clicking the active verdict again clears it
+    review = await toggleVerdict(id, url, button.dataset.verdict) || review;
+    const verdict = review.verdicts[url] || null;
+    card.dataset.verdict = verdict || '';
+    card.querySelectorAll('button[data-verdict]').forEach(b => b.classList.toggle('active', b.dataset.verdict === verdict));
+    renderSummary();
+  });
+
+  // ===== Shared controls =====
+  const frameStep = () => 1 / Math.min(120, Math.max(1, Number(document.getElementById('frameRate').value) || 25));
+  const step = (direction) => videos().forEach(v => {
+    v.pause();
+    if (Number.isFinite(v.duration)) v.currentTime = Math.min(v.duration, Math.max(0, v.currentTime + direction * frameStep()));
+  });
+
+  document.getElementById('playAll').addEventListener('click', () => {
+    videos().forEach(v => v.play().catch(() => { /* broken or unreachable file */ }));
+  });
+  document.getElementById('pauseAll').addEventListener('click', () => videos().forEach(v => v.pause()));
+  document.getElementById('stepBack').addEventListener('click', () => step(-1));
+  document.getElementById('stepForward').addEventListener('click', () => step(1));
+  document.getElementById('jumpAll').addEventListener('click', () => {
+    const pct = Math.min(100, Math.max(0, Number(document.getElementById('jumpPercent').value) || 0));
+    videos().forEach(v => {
+      if (Number.isFinite(v.duration)) v.currentTime = v.duration * pct / 100;
+    });
+  });
+
+  document.getElementById('copySummary').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(summary.value);
+      showToast('Summary copied');
+    } catch (e) {
+      showToast('Copy failed', 'error');
+    }
+  });
+
+  // One video at a time, so a 40-video review does not download everything at once
+  for (const card of grid.querySelectorAll('.video-card')) {
+    await drawThumbnails(review.urls[Number(card.dataset.index)], [...card.querySelectorAll('canvas')]);
+  }
+});
@@ -0,0 +1,396 @@
+/* settings.js - User settings persisted in chrome.storage.local */
+
+import { MAX_TABS_PER_JOB, pad2, fillTemplate } from './utils.js';
+import { DEFAULT_URL_RULES } from './url-rules.js';
+import { isValidTimeZone } from './report-title.js';
+import { DEFAULT_SITE_HOSTS, normalizeHostPattern } from './site-access.js';
+
+// ===== URL RULES =====
+
+// Callers get their own copy of the defaults, so editing the result never changes DEFAULT_URL_RULES
+export async function getUrlRules() {
+  const { urlRules } = await chrome.storage.local.get(['urlRules']);
+  return Array.isArray(urlRules) ? urlRules : structuredClone(DEFAULT_URL_RULES);
+}
+
+export async function saveUrlRules(rules) {
+  await chrome.storage.local.set({ urlRules: rules });
+}
+
+export async function resetUrlRules() {
+  await chrome.storage.local.remove('urlRules');
+  return structuredClone(DEFAULT_URL_RULES);
+}
+
+// ===== JOB SETTINGS =====
+
+// Colors accepted by chrome.tabGroups.update
+export const TAB_GROUP_COLORS = ["grey", "blue", "red", "yellow", "green", "pink", "purple", "cyan", "orange"];
+
+// How URLs that are already open in the window are handled
+export const DEDUPE_MODES = {
+  off: "Open duplicates anyway",
+  skip: "Skip URLs already open",
+  move: "Move already-open tabs into the new group"
+};
+
+// Tokens available in group title templates
+export const GROUP_TITLE_TOKENS = ["{count}", "{date}", "{time}", "{batch}", "{batches}"];
+
+export const DEFAULT_JOB_SETTINGS = {
+  lp: {
+    groupTitle: "Failed LP", groupColor: "red", delayMs: 1000, maxTabs: MAX_TABS_PER_JOB, maxRetries: 20,
+    chunkLargeJobs: true, autoAdvance: true, dedupe: "off", appendToExistingGroup: false, groupByAccount: false,
+    healthConcurrency: 4, healthTimeoutMs: 10000
+  },
+  blackFrames: {
+    groupTitle: "Black Frames", groupColor: "grey", delayMs: 1000, maxTabs: MAX_TABS_PER_JOB, maxRetries: 20,
+    chunkLargeJobs: true, autoAdvance: true, dedupe: "off", appendToExistingGroup: false, groupByAccount: false, reviewGrid: false,
+    detectBlackFrames: false, blackThreshold: 20, sampleMs: 500
+  }
+};
+
+function clampInt(value, min, max, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+// Fill in defaults and keep numbers in a sane range
+export function normalizeJobSettings(raw = {}) {
+  const out = {};
+  for (const [type, defaults] of Object.entries(DEFAULT_JOB_SETTINGS)) {
+    const s = { ...defaults, ...(raw[type] || {}) };
+    out[type] = {
+      ...s,
+      groupTitle: String(s.groupTitle || "").trim() || defaults.groupTitle,
+      groupColor: TAB_GROUP_COLORS.includes(s.groupColor) ? s.groupColor : defaults.groupColor,
+      delayMs: clampInt(s.delayMs, 0, 60000, defaults.delayMs),
+      maxTabs: clampInt(s.maxTabs, 1, 500, defaults.maxTabs),
+      maxRetries: clampInt(s.maxRetries, 0, 100, defaults.maxRetries),
+      chunkLargeJobs: !!s.chunkLargeJobs,
+      autoAdvance: !!s.autoAdvance,
+      dedupe: DEDUPE_MODES[s.dedupe] ? s.dedupe : defaults.dedupe,
+      appendToExistingGroup: !!s.appendToExistingGroup,
+      // One tab group per account when the URLs come with row context (url-context.js)
+      groupByAccount: !!s.groupByAccount,
+      // Failed LP only: how the popup's pre-flight check (health-check.js) fetches pages and manifests
+      ...('healthConcurrency' in defaults ? {
+        healthConcurrency: clampInt(s.healthConcurrency, 1, 16, defaults.healthConcurrency),
+        healthTimeoutMs: clampInt(s.healthTimeoutMs, 1000, 60000, defaults.healthTimeoutMs)
+      } : {}),
+      // Black Frames only: open the videos in review.html instead of a tab group
+      ...('reviewGrid' in defaults ? { reviewGrid: !!s.reviewGrid } : {}),
+      // Black Frames only: analyze the MP4s first (black-frame-detect.js) and open just the suspect ones.
+      // The threshold is an average luminance (0–255); frames below it count as black.
+      ...('detectBlackFrames' in defaults ? {
+        detectBlackFrames: !!s.detectBlackFrames,
+        blackThreshold: clampInt(s.blackThreshold, 1, 255, defaults.blackThreshold),
+        sampleMs: clampInt(s.sampleMs, 40, 10000, defaults.sampleMs)
+      } : {})
+    };
+  }
+  return out;
+}
+
+export async function getJobSettings() {
+  const { jobSettings } = await chrome.storage.local.get(['jobSettings']);
+  return normalizeJobSettings(jobSettings);
+}
+
+export async function getJobSettingsFor(jobType) {
+  const all = await getJobSettings();
+  return all[jobType] || all.lp;
+}
+
+export async function saveJobSettings(settings) {
+  const normalized = normalizeJobSettings(settings);
+  await chrome.storage.local.set({ jobSettings: normalized });
+  return normalized;
+}
+
+export function formatGroupTitle(template, { count = 0, now = new Date(), ...extra } = {}) {
+  return fillTemplate(template, {
+    ...extra,
+    count,
+    date: `${pad2(now.getDate())}.${pad2(now.getMonth() + 1)}`,
+    time: `${pad2(now.getHours())}:${pad2(now.getMinutes())}`
+  });
+}
+
+// Matches any title the template can produce ("Failed LP ({count})" matches "Failed LP (12)"),
+// so "append to an existing group" still finds the group when the title has changing tokens
+const GROUP_TITLE_TOKEN_PATTERNS = { count: "\\d+", date: "\\d{2}\\.\\d{2}", time: "\\d{2}:\\d{2}", batch: "\\d+", batches: "\\d+" };
+
+export function groupTitlePattern(template) {
+  const source = String(template ?? "").split(/(\{\w+\})/).map(part => {
+    const token = part.match(/^\{(\w+)\}$/)?.[1];
+    return GROUP_TITLE_TOKEN_PATTERNS[token] || part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }).join("");
+  return new RegExp(`^${source}$`);
+}
+
+// ===== JOB HISTORY =====
+
+export const DEFAULT_HISTORY_LIMIT = 20;
+
+export async function getHistoryLimit() {
+  const { historyLimit } = await chrome.storage.local.get(['historyLimit']);
+  return clampInt(historyLimit, 1, 200, DEFAULT_HISTORY_LIMIT);
+}
+
+export async function saveHistoryLimit(limit) {
+  const value = clampInt(limit, 1, 200, DEFAULT_HISTORY_LIMIT);
+  await chrome.storage.local.set({ historyLimit: value });
+  return value;
+}
+
+// ===== DAILY REPORTS =====
+
+export const DEFAULT_REPORT_SETTINGS = {
+  spikeThresholdPct: 50, // highlight companies whose count grew by at least this much
+  spikeMinCount: 10, // ...and that have at least this many, so 1 -> 3 is not a "spike"
+  keepDays: 60
+};
+
+function normalizeReportSettings(raw) {
+  const d = DEFAULT_REPORT_SETTINGS;
+  return {
+    spikeThresholdPct: clampInt(raw?.spikeThresholdPct, 1, 10000, d.spikeThresholdPct),
+    spikeMinCount: clampInt(raw?.spikeMinCount, 0, 1000000, d.spikeMinCount),
+    keepDays: clampInt(raw?.keepDays, 1, 365, d.keepDays)
+  };
+}
+
+export async function getReportSettings() {
+  const { reportSettings } = await chrome.storage.local.get(['reportSettings']);
+  return normalizeReportSettings(reportSettings);
+}
+
+export async function saveReportSettings(raw) {
+  const normalized = normalizeReportSettings(raw);
+  await chrome.storage.local.set({ reportSettings: normalized });
+  return normalized;
+}
+
+// ===== DAILY REPORT TEMPLATE =====
+
+// Line-based: "## " lines are section headings, a line holding only a table token is replaced
+// by that table (or a placeholder when it was not formatted today), other lines are text.
+export const REPORT_TEMPLATE_TOKENS = ["{title}", "{date}", "{companyCount}", "{mediaErrors}"];
+
+export const DEFAULT_REPORT_TEMPLATE = [
+  "{title}",
+  "",
+  "Hi all,",
+  "Please find below the daily report for {date}.",
+  "",
+  "## Company Batch Counts",
+  "{companyCount}",
+  "",
+  "## Media Player Errors",
+  "{mediaErrors}"
+].join("\n");
+
+export async function getReportTemplate() {
+  const { reportTemplate } = await chrome.storage.local.get(['reportTemplate']);
+  return typeof reportTemplate === "string" && reportTemplate.trim() ? reportTemplate : DEFAULT_REPORT_TEMPLATE;
+}
+
+export async function saveReportTemplate(template) {
+  if (!String(template ?? "").trim()) {
+    await chrome.storage.local.remove('reportTemplate');
+    return DEFAULT_REPORT_TEMPLATE;
+  }
+  await chrome.storage.local.set({ reportTemplate: template });
+  return template;
+}
+
+// ===== DAILY REPORT TITLE =====
+
+export const DEFAULT_TITLE_SETTINGS = {
+  template: "Daily Report {dd}.{mm}.{yy} {weekday}",
+  timeZone: "", // "" = the browser's timezone, else an IANA name such as "Asia/Jerusalem"
+  previousBusinessDay: false,
+  weekendDays: [0, 6], // Sunday, Saturday
+  holidays: [] // [{ date: "YYYY-MM-DD", label }]
+};
+
+// One holiday per line: an ISO date, then an optional label ("2024-12-25 Christmas").
+// Sorted by date; a date listed twice keeps its first label.
+export function parseHolidays(text) {
+  const byDate = new Map();
+  for (const line of String(text ?? "").split(/\r?\n/)) {
+    const m = line.trim().match(/^(\d{4}-\d{2}-\d{2})\b\s*(.*)$/);
+    if (m && !byDate.has(m[1])) byDate.set(m[1], { date: m[1], label: m[2].trim() });
+  }
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Back to the textarea's one-per-line form
+export function formatHolidays(holidays) {
+  return holidays.map(h => h.label ? `${h.date} ${h.label}` : h.date).join("\n");
+}
+
+export function normalizeTitleSettings(raw = {}) {
+  const d = DEFAULT_TITLE_SETTINGS;
+  const timeZone = String(raw.timeZone ?? "").trim();
+  return {
+    template: String(raw.template ?? "").trim() || d.template,
+    timeZone: isValidTimeZone(timeZone) ? timeZone : d.timeZone,
+    previousBusinessDay: !!raw.previousBusinessDay,
+    weekendDays: Array.isArray(raw.weekendDays)
+      ? [...new Set(raw.weekendDays.map(Number).filter(n => n >= 0 && n <= 6))]
+      : d.weekendDays,
+    // Older settings stored bare "YYYY-MM-DD" strings
+    holidays: Array.isArray(raw.holidays)
+      ? parseHolidays(formatHolidays(raw.holidays.map(h => typeof h === "string" ? { date: h } : h)))
+      : d.holidays
+  };
+}
+
+export async function getTitleSettings() {
+  const { titleSettings } = await chrome.storage.local.get(['titleSettings']);
+  return normalizeTitleSettings(titleSettings);
+}
+
+export async function saveTitleSettings(raw) {
+  const normalized = normalizeTitleSettings(raw);
+  await chrome.storage.local.set({ titleSettings: normalized });
+  return normalized;
+}
+
+// ===== EXPORT FORMATS =====
+
+// Per formatter (see export-formats.js); the popup picker and the shortcuts both use these
+export const DEFAULT_EXPORT_FORMATS = {
+  companyCount: "tsv",
+  mediaErrors: "html"
+};
+
+export async function getExportFormats() {
+  const { exportFormats } = await chrome.storage.local.get(['exportFormats']);
+  return { ...DEFAULT_EXPORT_FORMATS, ...(exportFormats || {}) };
+}
+
+export async function saveExportFormat(formatter, format) {
+  const formats = await getExportFormats();
+  formats[formatter] = format;
+  await chrome.storage.local.set({ exportFormats: formats });
+  return formats;
+}
+
+// ===== TABLE POST-PROCESSING =====
+
+// Per formatter (see table-pipeline.js); everything off keeps the table as Grafana gave it
+export const DEFAULT_PIPELINE_SETTINGS = {
+  companyCount: { mergeDuplicates: false, sort: "none", topN: 0, otherRow: true, totalRow: false },
+  mediaErrors: {
+    mergeDuplicates: false, sort: "none", topN: 0, otherRow: true, totalRow: false,
+    normalizeErrors: false, // group errors by signature (IDs, URLs and numbers masked)
+    pivotVersions: false // signatures × player versions instead of one row per version
+  }
+};
+
+function normalizePipelineSettings(raw = {}) {
+  const out = {};
+  for (const [type, defaults] of Object.entries(DEFAULT_PIPELINE_SETTINGS)) {
+    const s = { ...defaults, ...(raw?.[type] || {}) };
+    out[type] = {
+      mergeDuplicates: !!s.mergeDuplicates,
+      sort: ["none", "desc", "asc"].includes(s.sort) ? s.sort : defaults.sort,
+      topN: clampInt(s.topN, 0, 1000, defaults.topN),
+      otherRow: !!s.otherRow,
+      totalRow: !!s.totalRow
+    };
+    if ("normalizeErrors" in defaults) {
+      out[type].normalizeErrors = !!s.normalizeErrors;
+      out[type].pivotVersions = !!s.pivotVersions;
+    }
+  }
+  return out;
+}
+
+export async function getPipelineSettings() {
+  const { pipelineSettings } = await chrome.storage.local.get(['pipelineSettings']);
+  return normalizePipelineSettings(pipelineSettings);
+}
+
+export async function savePipelineSettings(raw) {
+  const normalized = normalizePipelineSettings(raw);
+  await chrome.storage.local.set({ pipelineSettings: normalized });
+  return normalized;
+}
+
+// ===== HTML TABLE STYLE =====
+
+// See table-themes.js. `headers` are the column names used for each formatter's plain table;
+// they are only pasted when `headerRow` is on (the original output had no header row).
+export const DEFAULT_TABLE_STYLE = {
+  theme: "classic",
+  headerRow: false,
+  caption: false,
+  thresholds: { enabled: false, warn: 100, alert: 1000 },
+  headers: {
+    companyCount: ["Company", "Count"],
+    mediaErrors: ["Error Description", "Player Version", "Count"]
+  }
+};
+
+export function normalizeTableStyle(raw = {}) {
+  const d = DEFAULT_TABLE_STYLE;
+  const thresholds = { ...d.thresholds, ...(raw?.thresholds || {}) };
+  const headers = {};
+  for (const [type, defaults] of Object.entries(d.headers)) {
+    const given = Array.isArray(raw?.headers?.[type]) ? raw.headers[type] : [];
+    // Same number of columns as the formatter produces; blanks fall back to the default name
+    headers[type] = defaults.map((h, i) => String(given[i] ?? "").trim() || h);
+  }
+  return {
+    theme: typeof raw?.theme === "string" && raw.theme ? raw.theme : d.theme,
+    headerRow: !!raw?.headerRow,
+    caption: !!raw?.caption,
+    thresholds: {
+      enabled: !!thresholds.enabled,
+      warn: clampInt(thresholds.warn, 0, 1e9, d.thresholds.warn),
+      alert: clampInt(thresholds.alert, 0, 1e9, d.thresholds.alert)
+    },
+    headers
+  };
+}
+
+export async function getTableStyle() {
+  const { tableStyle } = await chrome.storage.local.get(['tableStyle']);
+  return normalizeTableStyle(tableStyle);
+}
+
+export async function saveTableStyle(raw) {
+  const normalized = normalizeTableStyle(raw);
+  await chrome.storage.local.set({ tableStyle: normalized });
+  return normalized;
+}
+
+// ===== SITE ACCESS =====
+
+// One host per line (commas and spaces also separate); URLs are reduced to their hostname
+export function parseHostList(text) {
+  return String(text ?? "").split(/[\s,]+/).map(normalizeHostPattern).filter(Boolean);
+}
+
+// Per-command allowed hosts (see site-access.js); an empty list falls back to the default
+export function normalizeSiteHosts(raw = {}) {
+  return Object.fromEntries(Object.entries(DEFAULT_SITE_HOSTS).map(([command, defaults]) => {
+    const given = Array.isArray(raw?.[command]) ? raw[command].map(normalizeHostPattern).filter(Boolean) : [];
+    return [command, given.length ? [...new Set(given)] : [...defaults]];
+  }));
+}
+
+export async function getSiteHosts() {
+  const { siteHosts } = await chrome.storage.local.get(['siteHosts']);
+  return normalizeSiteHosts(siteHosts);
+}
+
+export async function saveSiteHosts(raw) {
+  const normalized = normalizeSiteHosts(raw);
+  await chrome.storage.local.set({ siteHosts: normalized });
+  return normalized;
+}
@@ -0,0 +1,62 @@
+/* site-access.js - Which sites each shortcut runs on, and the host permissions that requires */
+
+// Commands limited to certain sites. Commands not listed here (Open Black Frames) run anywhere.
+export const SITE_COMMANDS = {
+  "open-lp-urls": "Open & group LP URLs",
+  "format-company-batch": "Format Company Batch",
+  "format-media-errors": "Format Media Errors",
+  "copy-daily-report": "Paste Daily Report Date",
+  "compose-daily-report": "Compose Daily Report"
+};
+
+// The hosts granted in manifest.json; anything else is requested at runtime
+export const DEFAULT_SITE_HOSTS = {
+  "open-lp-urls": ["app.alertops.com"],
+  "format-company-batch": ["idomoo.grafana.net"],
+  "format-media-errors": ["idomoo.grafana.net"],
+  "copy-daily-report": ["mail.google.com"],
+  "compose-daily-report": ["mail.google.com"]
+};
+
+// "Grafana.Example.com", "https://grafana.example.com:3000/d/x" -> "grafana.example.com".
+// "*.example.com" is kept as a wildcard. Returns "" for anything that is not a hostname.
+export function normalizeHostPattern(raw) {
+  let s = String(raw ?? "").trim().toLowerCase();
+  s = s.replace(/^[a-z][a-z0-9+.-]*:\/\//, "").replace(/[/?#].*$/, "").replace(/:\d+$/, "").replace(/\.$/, "");
+  return /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(s) ? s : "";
+}
+
+// Exact hostname match; "*.example.com" matches example.com and any subdomain of it
+// (like a Chrome match pattern). Ports are ignored.
+export function hostMatches(hostname, pattern) {
+  const host = String(hostname ?? "").toLowerCase().replace(/\.$/, "");
+  if (!pattern.startsWith("*.")) return host === pattern;
+  const base = pattern.slice(2);
+  return host === base || host.endsWith(`.${base}`);
+}
+
+// Only http(s) pages count; chrome:// and file:// tabs are never allowed
+export function isUrlAllowed(url, hosts) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== "https:" && protocol !== "http:") return false;
+    return hosts.some(pattern => hostMatches(hostname, pattern));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Match patterns for chrome.permissions; must be covered by optional_host_permissions
+export function hostOrigins(hosts) {
+  return hosts.map(h => `*://${h}/*`);
+}
+
+// Hosts not granted by the manifest; these need chrome.permissions.request
+export function extraHosts(siteHosts) {
+  const defaults = new Set(Object.values(DEFAULT_SITE_HOSTS).flat());
+  return [...new Set(Object.values(siteHosts).flat())].filter(h => !defaults.has(h));
+}
+
+export function describeHosts(hosts) {
+  return hosts.length ? hosts.join(", ") : "no sites";
+}
@@ -0,0 +1,110 @@
+/* table-pipeline.js - Optional post-processing between parsing and output:
+ * error signatures, duplicate merging, numeric sort, top-N with an "Other" rollup and a total row */
+
+import { parseCount } from './grafana-parser.js';
+import { rollupBySignature, pivotByVersion } from './error-signatures.js';
+import { REPORT_HEADERS } from './daily-reports.js';
+
+// Which columns identify a row and which one holds the count, per formatter output
+// (see REPORT_HEADERS in daily-reports.js)
+export const PIPELINE_COLUMNS = {
+    companyCount: { keys: [0], count: 1 },
+    mediaErrors: { keys: [0, 1], count: 2 }
+};
+
+export const SORT_ORDERS = {
+    none: "Keep Grafana's order",
+    desc: "Count, highest first",
+    asc: "Count, lowest first"
+};
+
+const normalizeKey = (s) => String(s ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+
+// Rows that differ only in case or whitespace become one row (first spelling wins) with the counts summed
+export function mergeDuplicates(rows, { keys, count }) {
+    const merged = new Map();
+    for (const row of rows) {
+        const key = keys.map(k => normalizeKey(row[k])).join("\u0001");
+        const existing = merged.get(key);
+        if (!existing) {
+            merged.set(key, { row: [...row], total: parseCount(row[count]), merged: false });
+            continue;
+        }
+        existing.total += parseCount(row[count]);
+        existing.merged = true;
+    }
+    return [...merged.values()].map(({ row, total, merged: wasMerged }) => {
+        if (wasMerged && Number.isFinite(total)) row[count] = String(total);
+        return row;
+    });
+}
+
+// Stable; rows whose count does not parse go last either way
+export function sortByCount(rows, { count }, order = "desc") {
+    if (order === "none") return rows;
+    const dir = order === "asc" ? 1 : -1;
+    return rows
+        .map((row, i) => ({ row, i, n: parseCount(row[count]) }))
+        .sort((a, b) => {
+            const fa = Number.isFinite(a.n);
+            const fb = Number.isFinite(b.n);
+            if (fa !== fb) return fa ? -1 : 1;
+            return (fa && a.n !== b.n) ? (a.n - b.n) * dir : a.i - b.i;
+        })
+        .map(x => x.row);
+}
+
+function sumCounts(rows, count) {
+    return rows.reduce((sum, r) => sum + (Number.isFinite(parseCount(r[count])) ? parseCount(r[count]) : 0), 0);
+}
+
+// A row shaped like the others with `label` in the first key column and `value` as the count
+function summaryRow(width, { keys, count }, label, value) {
+    const row = Array(width).fill("");
+    row[keys[0]] = label;
+    row[count] = String(value);
+    return row;
+}
+
+// Keep the first `n` rows and roll the rest up into one "Other" row
+export function topN(rows, columns, n, { otherRow = true } = {}) {
+    if (!n || rows.length <= n) return rows;
+    const kept = rows.slice(0, n);
+    const rest = rows.slice(n);
+    if (!otherRow) return kept;
+    const width = rows[0].length;
+    return [...kept, summaryRow(width, columns, `Other (${rest.length})`, sumCounts(rest, columns.count))];
+}
+
+export function withTotal(rows, columns) {
+    if (!rows.length) return rows;
+    return [...rows, summaryRow(rows[0].length, columns, "Total", sumCounts(rows, columns.count))];
+}
+
+// Run the enabled steps for a formatter; media errors can first be rolled up by signature.
+// `rollups: false` stops after merging and sorting, for callers that still need one row per
+// real entry (the day-over-day comparison, the version pivot).
+export function applyPipeline(rows, type, settings, { rollups = true } = {}) {
+    const columns = PIPELINE_COLUMNS[type];
+    if (!columns || !settings) return rows;
+
+    let out = rows.map(r => [...r]);
+    if (settings.normalizeErrors && type === "mediaErrors") out = rollupBySignature(out);
+    if (settings.mergeDuplicates) out = mergeDuplicates(out, columns);
+    out = sortByCount(out, columns, settings.sort);
+    if (!rollups) return out;
+    if (settings.topN > 0) out = topN(out, columns, settings.topN, { otherRow: settings.otherRow });
+    if (settings.totalRow) out = withTotal(out, columns);
+    return out;
+}
+
+// Media errors come out of the parser as [version, error, count] and are copied as
+// [error, version, count], or pivoted to signatures × versions. `pivot` tells callers the
+// headers must be kept (the version columns only exist there).
+export function mediaErrorsTable(parsedRows, settings) {
+    const rows = parsedRows.map(([version, error, count]) => [error, version, count]);
+    if (settings?.pivotVersions) {
+        return { ...pivotByVersion(applyPipeline(rows, "mediaErrors", settings, { rollups: false })), pivot: true };
+    }
+    return { headers: REPORT_HEADERS.mediaErrors, rows: applyPipeline(rows, "mediaErrors", settings), pivot: false };
+}
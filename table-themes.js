@@ -0,0 +1,101 @@
+/* table-themes.js - Inline-styled looks for the HTML tables (clipboard and Daily Report composer):
+ * header styling, zebra rows, right-aligned numbers, count thresholds and a caption */
+
+import { CLASSIC_TABLE_STYLE } from './utils.js';
+import { numericColumns, parseCount } from './grafana-parser.js';
+import { REPORT_TABLES } from './daily-reports.js';
+
+// `alignNumbers` right-aligns count columns; classic keeps the original left-aligned output
+export const TABLE_THEMES = {
+    classic: { label: "Classic (black borders)", alignNumbers: false, style: CLASSIC_TABLE_STYLE },
+    clean: {
+        label: "Clean (shaded header, zebra rows)",
+        alignNumbers: true,
+        style: {
+            table: "border-collapse:collapse;font-family:Arial,sans-serif;font-size:13px;",
+            caption: "caption-side:top;text-align:left;font-weight:bold;padding:0 0 6px;",
+            th: "border:1px solid #dadce0;padding:6px 10px;text-align:left;font-weight:bold;background:#f1f3f4;",
+            td: "border:1px solid #dadce0;padding:6px 10px;vertical-align:top;",
+            stripe: "background:#f8f9fa;"
+        }
+    },
+    compact: {
+        label: "Compact",
+        alignNumbers: true,
+        style: {
+            table: "border-collapse:collapse;font-family:Arial,sans-serif;font-size:12px;",
+            caption: "caption-side:top;text-align:left;font-weight:bold;padding:0 0 4px;",
+            th: "border-bottom:2px solid #5f6368;padding:2px 8px;text-align:left;font-weight:bold;",
+            td: "border-bottom:1px solid #e0e0e0;padding:2px 8px;vertical-align:top;",
+            stripe: "background:#fafafa;"
+        }
+    },
+    dark: {
+        label: "Dark header",
+        alignNumbers: true,
+        style: {
+            table: "border-collapse:collapse;font-family:Arial,sans-serif;font-size:13px;",
+            caption: "caption-side:top;text-align:left;font-weight:bold;padding:0 0 6px;",
+            th: "border:1px solid #3c4043;padding:6px 10px;text-align:left;font-weight:bold;background:#3c4043;color:#fff;",
+            td: "border:1px solid #dadce0;padding:6px 10px;vertical-align:top;",
+            stripe: "background:#f1f3f4;"
+        }
+    }
+};
+
+const ALIGN_RIGHT = "text-align:right;";
+
+// Applied to a count cell at or above the threshold; added after the row styles so they win
+const THRESHOLD_STYLES = {
+    warn: "background:#fef7e0;color:#b06000;",
+    alert: "background:#fce8e6;color:#c5221f;font-weight:bold;"
+};
+
+export function tableTheme(key) {
+    return TABLE_THEMES[key] || TABLE_THEMES.classic;
+}
+
+// "Media Player Errors – 31.05.24"
+export function tableCaption(type, reportDate) {
+    return [REPORT_TABLES[type], reportDate].filter(Boolean).join(" – ");
+}
+
+// Count columns are the numeric ones named like a count ("Count", "Total"); when none is,
+// the last numeric column is taken
+function countColumns(headers, numeric) {
+    const named = headers.map((h, i) => numeric[i] && /count|total/i.test(h));
+    if (named.some(Boolean)) return named;
+    const last = numeric.lastIndexOf(true);
+    return numeric.map((_, i) => i === last);
+}
+
+function isSummaryRow(row) {
+    return /^(Total|Other \(\d+\))$/.test(String(row[0] ?? ""));
+}
+
+// Options for tableElementHTML/tableToHTML. `headers` are the table's column names even when
+// they are not pasted, so numeric and count columns can be told apart.
+export function themedTableOptions(headers, rows, tableStyle, { caption = "", rowStyles = [] } = {}) {
+    const theme = tableTheme(tableStyle?.theme);
+    const numeric = numericColumns(headers, rows);
+    const counts = countColumns(headers, numeric);
+    const { enabled, warn, alert } = tableStyle?.thresholds || {};
+
+    const level = (cell) => {
+        const n = parseCount(cell);
+        if (!enabled || !Number.isFinite(n)) return "";
+        if (n >= alert) return THRESHOLD_STYLES.alert;
+        if (n >= warn) return THRESHOLD_STYLES.warn;
+        return "";
+    };
+    const align = (i) => (theme.alignNumbers && numeric[i] ? ALIGN_RIGHT : "");
+
+    return {
+        style: theme.style,
+        caption: tableStyle?.caption ? caption : "",
+        rowStyles,
+        headerStyles: headers.map((_, i) => align(i)),
+        // Summary rows from the pipeline would always trip the thresholds, so they are left plain
+        cellStyles: rows.map(r => r.map((c, i) => align(i) + (counts[i] && !isSummaryRow(r) ? level(c) : "")))
+    };
+}
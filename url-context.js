@@ -0,0 +1,129 @@
+/* url-context.js - Where a URL came from: the account, company and region found in its table row
+ * or text line. Jobs use it to open one tab group per account. Only plain data goes in (rows of
+ * cell text, lines), so it runs in the service worker and the popup; the AlertOps toolbar gets
+ * its rows scanned by the service worker (scanRows). */
+
+import { extractAll, extractIdomooMp4s, sanitizeUrl, unique } from './utils.js';
+
+export const CONTEXT_FIELDS = ["account", "company", "region"];
+
+// Column headers and "Label:" prefixes that name each field
+const LABELS = {
+    account: "account|customer|client|tenant",
+    company: "company|organi[sz]ation|brand",
+    region: "region|cluster|env(?:ironment)?"
+};
+const HEADER_PATTERNS = Object.fromEntries(CONTEXT_FIELDS.map(f => [f, new RegExp(`\\b(?:${LABELS[f]})\\b`, "i")]));
+const LABEL_PATTERNS = Object.fromEntries(CONTEXT_FIELDS.map(f =>
+    [f, new RegExp(`(?<![?&])\\b(?:${LABELS[f]})\\s*[:=]\\s*([^\\t|,;]+?)\\s*(?=[\\t|,;]|https?:|$)`, "i")]));
+// URLs are cut out of a line before it is read, so their query parameters ("?client=acme") are not labels
+const URL_IN_TEXT = /\b(?:https?:\/\/|www\.)\S+/gi;
+const REGION_PREFIX = /(?:^|[\s|,;])([A-Z]{2,5}):([A-Za-z0-9][^\t|,;:/\s]*(?: (?!https?:)[A-Za-z0-9][^\t|,;:/\s]*)*)/;
+
+// Upper-case prefixes that are not regions ("ID:123", "URL:...")
+const NOT_REGIONS = new Set(["ID", "URL", "LP", "MP4", "HTTP", "HTTPS", "ERR", "ERROR"]);
+
+const clean = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+
+// { account, company, region } with only the fields that were found
+function compact(ctx) {
+    return Object.fromEntries(CONTEXT_FIELDS.filter(f => ctx[f]).map(f => [f, ctx[f]]));
+}
+
+// Column index per field, from a header row like ["Alert", "Account", "Region", "LP"]
+export function contextColumns(headers = []) {
+    const columns = {};
+    for (const field of CONTEXT_FIELDS) {
+        const i = headers.findIndex(h => HEADER_PATTERNS[field].test(clean(h)));
+        if (i >= 0 && !Object.values(columns).includes(i)) columns[field] = i;
+    }
+    return columns;
+}
+
+// Context of one line of text: "Account: Acme", "company=Acme", or a region prefix like "EU:Acme"
+export function lineContext(line) {
+    const text = String(line ?? "").replace(URL_IN_TEXT, "\t");
+    const ctx = {};
+    for (const field of CONTEXT_FIELDS) {
+        const m = text.match(LABEL_PATTERNS[field]);
+        if (m) ctx[field] = clean(m[1]);
+    }
+    if (!ctx.account) {
+        const m = text.match(REGION_PREFIX);
+        if (m && !NOT_REGIONS.has(m[1])) {
+            ctx.region ||= m[1];
+            ctx.account = clean(m[2]);
+        }
+    }
+    return compact(ctx);
+}
+
+// Context of a table row: the account/company/region columns when the headers name them,
+// else whatever the cells say themselves
+export function rowContext(cells, columns = {}) {
+    const ctx = {};
+    for (const [field, i] of Object.entries(columns)) ctx[field] = clean(cells[i]);
+    return compact({ ...lineContext(cells.join("\t")), ...compact(ctx) });
+}
+
+// The name a URL's tab group is titled with, or null
+export function accountOf(ctx) {
+    return ctx?.account || ctx?.company || null;
+}
+
+function urlsIn(text, rules) {
+    return unique([...extractAll(text, rules), ...extractIdomooMp4s(text, rules)]);
+}
+
+// URLs of one table row: its link targets and the URLs in its cell text
+function rowUrls(row, rules) {
+    return unique([...(row.links || []).map(l => sanitizeUrl(l.trim(), rules)).filter(Boolean), ...urlsIn(row.cells.join("\t"), rules)]);
+}
+
+// [{ urls, context }] per row ({ cells, links, header }); header rows get none. Used by the
+// in-page toolbar, which sends its rows to the service worker instead of loading this module.
+export function scanRows(rows, rules) {
+    const columns = contextColumns(rows.find(r => r.header)?.cells);
+    return rows.map(row => row.header ? { urls: [], context: {} } : { urls: rowUrls(row, rules), context: rowContext(row.cells, columns) });
+}
+
+// url -> context for the given URLs, from table rows ({ cells, links, header }) as captured
+// from the page. The first row that carries a URL wins.
+export function contextsFromRows(rows, urls, rules) {
+    const wanted = new Set(urls);
+    const headerRow = rows.find(r => r.header);
+    const columns = contextColumns(headerRow?.cells);
+    const out = {};
+    for (const row of rows) {
+        if (row.header) continue;
+        const found = rowUrls(row, rules);
+        const ctx = rowContext(row.cells, columns);
+        if (!Object.keys(ctx).length) continue;
+        for (const url of found) {
+            if (wanted.has(url) && !out[url]) out[url] = ctx;
+        }
+    }
+    return out;
+}
+
+// url -> context from pasted or selected text. Tab-separated text whose first line names
+// the columns (copied from a table) is read as rows; anything else line by line.
+export function contextsFromText(text, urls, rules) {
+    const lines = String(text ?? "").replace(/\r\n/g, "\n").split("\n").filter(l => l.trim());
+    if (!lines.length) return {};
+    const first = lines[0].split("\t");
+    const header = first.length > 1 && Object.keys(contextColumns(first)).length > 0;
+    const rows = lines.map((line, i) => ({ cells: line.split("\t"), links: [], header: header && i === 0 }));
+    return contextsFromRows(rows, urls, rules);
+}
+
+// [{ account, urls }] in the order accounts first appear; URLs without one end up under null
+export function splitByAccount(urls, contexts = {}) {
+    const groups = new Map();
+    for (const url of urls) {
+        const account = accountOf(contexts[url]);
+        if (!groups.has(account)) groups.set(account, []);
+        groups.get(account).push(url);
+    }
+    return [...groups].map(([account, list]) => ({ account, urls: list }));
+}
@@ -0,0 +1,237 @@
+/* url-rules.js - Rule engine for URL extraction and normalization */
+
+// Tab group each rule feeds
+export const URL_RULE_GROUPS = {
+  lp: "Failed LP",
+  blackFrames: "Black Frames"
+};
+
+// Operations a rule step may use, in the order they are usually listed
+export const URL_RULE_OPS = {
+  cutAtUppercase: "Cut a parameter at its first uppercase letter",
+  endAt: "End a parameter right after a suffix (drops the parameters after it)",
+  rejectUppercaseHash: "Reject when the last path segment of a parameter contains uppercase"
+};
+
+// Why a candidate URL was not extracted (diagnoseUrl reason codes)
+export const URL_REJECT_REASONS = {
+  noRule: "No URL rule matches",
+  uppercaseHash: "Uppercase letter in the video hash",
+  malformed: "Malformed URL after query repair",
+  brokenRule: "The matching rule has an unknown step"
+};
+
+// Reason a failing step reports
+const STEP_REJECT_REASONS = {
+  rejectUppercaseHash: "uppercaseHash"
+};
+
+// Built-in rules: the player/m3u8/idomoo shapes the extension always supported
+export const DEFAULT_URL_RULES = [
+  {
+    id: "player-index-id",
+    name: "Player index.html?id=",
+    group: "lp",
+    enabled: true,
+    builtIn: true,
+    pattern: "^https?://[^\\s\"'<>()]+index\\.html\\?id=[^&\\s]+",
+    find: "",
+    repairQuery: true,
+    steps: [
+      { op: "cutAtUppercase", param: "id" },
+      { op: "endAt", param: "url", suffix: ".m3u8" },
+      { op: "cutAtUppercase", param: "url", ifContains: ".m3u8" },
+      { op: "rejectUppercaseHash", param: "id" },
+      { op: "rejectUppercaseHash", param: "url", suffix: ".m3u8" }
+    ]
+  },
+  {
+    id: "player-url-m3u8",
+    name: "Player ?url=…m3u8",
+    group: "lp",
+    enabled: true,
+    builtIn: true,
+    pattern: "^https?://[^\\s\"'<>()]+?\\?url=https?://[^\\s\"'<>()]+?[a-z0-9/]+\\.m3u8",
+    find: "",
+    repairQuery: true,
+    steps: [
+      { op: "endAt", param: "url", suffix: ".m3u8" },
+      { op: "cutAtUppercase", param: "url" },
+      { op: "rejectUppercaseHash", param: "url", suffix: ".m3u8" }
+    ]
+  },
+  {
+    id: "idomoo-mp4",
+    name: "Idomoo MP4",
+    group: "blackFrames",
+    enabled: true,
+    builtIn: true,
+    pattern: "^https?://(?:[a-z0-9-]+\\.)*idomoo\\.com/[a-z0-9/._-]+\\.mp4$",
+    // Stop specifically at .mp4 to avoid grabbing subsequent text like "EU:Account..."
+    find: "https?://(?:[a-z0-9-]+\\.)*idomoo\\.com/[a-z0-9/._-]+\\.mp4",
+    repairQuery: false,
+    steps: []
+  }
+];
+
+// ===== QUERY HELPERS =====
+
+// Split a URL into its base and raw query params without re-encoding anything
+function splitQuery(url) {
+  const q = url.indexOf('?');
+  if (q === -1) return { base: url, params: [] };
+  const params = url.substring(q + 1).split('&').map(raw => {
+    const eq = raw.indexOf('=');
+    return eq === -1 ? { key: raw, value: null } : { key: raw.substring(0, eq), value: raw.substring(eq + 1) };
+  });
+  return { base: url.substring(0, q), params };
+}
+
+function joinQuery({ base, params }) {
+  if (!params.length) return base;
+  return base + '?' + params.map(p => (p.value === null ? p.key : `${p.key}=${p.value}`)).join('&');
+}
+
+// Replace every "?" after the first one with "&" (copied URLs often carry a second "?")
+function repairQueryString(url) {
+  const firstQuestionMark = url.indexOf('?');
+  if (firstQuestionMark === -1) return url;
+  return url.substring(0, firstQuestionMark + 1) + url.substring(firstQuestionMark + 1).replace(/\?/g, '&');
+}
+
+// For URL-valued params, skip the scheme and host so only the path is inspected
+function pathStart(value) {
+  const m = value.match(/^https?:\/\/[^/]*/i);
+  return m ? m[0].length : 0;
+}
+
+// Where the video hash starts: the trailing run of [a-z0-9/] before the file extension
+// ("…/Video-a/b/hash1.m3u8" -> "a/b/hash1.m3u8"), like the original sanitizer. Falls back to the path.
+function hashStart(value) {
+  const from = pathStart(value);
+  const idx = value.slice(from).search(/[a-z0-9/]+\.[a-z0-9]+$/i);
+  return idx === -1 ? from : from + idx;
+}
+
+// ===== STEP OPERATIONS =====
+
+const STEP_HANDLERS = {
+  cutAtUppercase(query, step) {
+    const p = query.params.find(x => x.key === step.param);
+    if (!p || p.value === null) return true;
+    if (step.ifContains && !p.value.toLowerCase().includes(step.ifContains.toLowerCase())) return true;
+    const from = hashStart(p.value);
+    const idx = p.value.slice(from).search(/[A-Z]/);
+    if (idx !== -1) p.value = p.value.slice(0, from + idx);
+    return true;
+  },
+
+  endAt(query, step) {
+    const i = query.params.findIndex(x => x.key === step.param);
+    if (i === -1 || query.params[i].value === null) return true;
+    const p = query.params[i];
+    const idx = p.value.toLowerCase().indexOf(String(step.suffix).toLowerCase());
+    if (idx === -1) return true;
+    p.value = p.value.slice(0, idx + step.suffix.length);
+    query.params.length = i + 1;
+    return true;
+  },
+
+  rejectUppercaseHash(query, step) {
+    const p = query.params.find(x => x.key === step.param);
+    if (!p || !p.value) return true;
+    const parts = p.value.split('/');
+    let hash = parts[parts.length - 1];
+    if (step.suffix) hash = hash.replace(step.suffix, '');
+    return !/[A-Z]/.test(hash);
+  }
+};
+
+// ===== ENGINE =====
+
+function compile(source, flags) {
+  try {
+    return source ? new RegExp(source, flags) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Returns a list of problems with a rule (empty when the rule is usable)
+export function validateUrlRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') return ["Rule must be an object."];
+  if (!rule.id) errors.push("Rule needs an id.");
+  if (!URL_RULE_GROUPS[rule.group]) errors.push(`Unknown group "${rule.group}".`);
+  if (!rule.pattern) errors.push("Match pattern is required.");
+  else if (!compile(rule.pattern, 'i')) errors.push("Match pattern is not a valid regular expression.");
+  if (rule.find && !compile(rule.find, 'gi')) errors.push("Find pattern is not a valid regular expression.");
+  if (!Array.isArray(rule.steps)) errors.push("Steps must be a list.");
+  else {
+    rule.steps.forEach((step, i) => {
+      if (!STEP_HANDLERS[step?.op]) errors.push(`Step ${i + 1}: unknown operation "${step?.op}".`);
+      else if (!step.param) errors.push(`Step ${i + 1}: "param" is required.`);
+      else if (step.op === 'endAt' && !step.suffix) errors.push(`Step ${i + 1}: "suffix" is required.`);
+    });
+  }
+  return errors;
+}
+
+// Run one rule against a URL. Returns null when the rule does not apply, { url } with the
+// normalized URL, or { reason, detail } when the pattern matched but the rule rejected it.
+function runUrlRule(rule, url) {
+  if (!rule?.enabled) return null;
+  const re = compile(rule.pattern, 'i');
+  if (!re) return null;
+
+  const candidate = rule.repairQuery ? repairQueryString(url) : url;
+  if (!re.test(candidate)) return null;
+
+  const query = splitQuery(candidate);
+  for (const step of rule.steps || []) {
+    const handler = STEP_HANDLERS[step.op];
+    if (!handler) return { reason: "brokenRule", detail: `unknown operation "${step.op}"` };
+    if (!handler(query, step)) return { reason: STEP_REJECT_REASONS[step.op] || "brokenRule", detail: `"${step.param}" parameter` };
+  }
+
+  const finalUrl = joinQuery(query);
+  try {
+    new URL(finalUrl);
+  } catch (e) {
+    return { reason: "malformed", detail: finalUrl };
+  }
+  return { url: finalUrl };
+}
+
+// Returns the normalized URL or null if the rule does not apply/rejects it.
+export function applyUrlRule(rule, url) {
+  return runUrlRule(rule, url)?.url || null;
+}
+
+// What the rules make of a URL: { url, rule } when accepted, else { reason, detail, rule }
+// with a URL_REJECT_REASONS code (rule is null for "noRule").
+// First matching rule wins, like the original hardcoded if/else chain.
+export function diagnoseUrl(url, rules = DEFAULT_URL_RULES) {
+  for (const rule of rules) {
+    const result = runUrlRule(rule, url);
+    if (result) return { ...result, rule };
+  }
+  return { reason: "noRule", detail: "", rule: null };
+}
+
+export function matchUrlRule(url, rules = DEFAULT_URL_RULES) {
+  const result = diagnoseUrl(url, rules);
+  return result.url ? { url: result.url, rule: result.rule } : null;
+}
+
+export function rulesForGroup(rules, group) {
+  return (rules || []).filter(r => r?.enabled && r.group === group);
+}
+
+// Regexes used to locate candidates in free text (rules with a "find" pattern)
+export function findPatterns(rules) {
+  return (rules || [])
+    .filter(r => r?.enabled && r.find)
+    .map(r => compile(r.find, 'gi'))
+    .filter(Boolean);
+}
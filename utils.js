@@ -2,6 +2,8 @@
  * Shared Utilities for Support Toolkit
  */
 
+import { DEFAULT_URL_RULES, matchUrlRule, diagnoseUrl, rulesForGroup, findPatterns } from './url-rules.js';
+
 export const MAX_TABS_PER_JOB = 40;
 
 // ===== HELPER FUNCTIONS =====
@@ -49,113 +51,55 @@ export function normalizeLines(raw) {
   return raw.replace(/\r\n/g, "\n").split("\n").map(s => s.trim()).filter(Boolean);
 }
 
+// Replace {token} placeholders; unknown tokens are left as-is so typos stay visible
+export function fillTemplate(template, vars) {
+  return String(template ?? "").replace(/\{(\w+)\}/g, (m, key) => (vars[key] ?? m));
+}
+
 // ===== URL LOGIC =====
 
-// Security: Validate and sanitize URLs
-export function sanitizeUrl(url) {
+// Security: Validate and sanitize URLs against the active rule set
+export function sanitizeUrl(url, rules = DEFAULT_URL_RULES) {
   try {
-    let cleanedUrl = url;
-
-    const firstQuestionMark = cleanedUrl.indexOf('?');
-    if (firstQuestionMark !== -1) {
-      const beforeQuery = cleanedUrl.substring(0, firstQuestionMark + 1);
-      const afterQuery = cleanedUrl.substring(firstQuestionMark + 1);
-      cleanedUrl = beforeQuery + afterQuery.replace(/\?/g, '&');
-    }
-
-    const matchesIndexId = cleanedUrl.match(/^(https?:\/\/[^\s"'<>()]+index\.html\?id=)([^&\s]+)(.*)$/i);
-    const matchesIndexM3u8 = cleanedUrl.match(/^(https?:\/\/[^\s"'<>()]+?\?url=https?:\/\/[^\s"'<>()]+?)([a-z0-9/]+\.m3u8)(.*)$/i);
-    const matchesMp4 = cleanedUrl.match(/^(https?:\/\/(?:[a-zA-Z0-9-]+\.)*idomoo\.com\/[a-zA-Z0-9\/._-]+\.mp4)$/i);
-
-    if (matchesMp4) return matchesMp4[1];
-
-    let finalUrl = null;
-
-    if (matchesIndexId) {
-      let base = matchesIndexId[1];
-      let idPart = matchesIndexId[2];
-      let queryParams = matchesIndexId[3];
-
-      const idxUp = idPart.search(/[A-Z]/);
-      if (idxUp !== -1) idPart = idPart.slice(0, idxUp);
-
-      if (queryParams.includes('&url=')) {
-        const urlMatch = queryParams.match(/(&url=https?:\/\/[^\s&]+?)([a-z0-9/]+\.m3u8)/i);
-        if (urlMatch) {
-          const urlBase = urlMatch[1];
-          let m3u8Path = urlMatch[2];
-
-          const m3u8UpIdx = m3u8Path.search(/[A-Z]/);
-          if (m3u8UpIdx !== -1) m3u8Path = m3u8Path.slice(0, m3u8UpIdx);
-
-          const m3u8Idx = m3u8Path.indexOf('.m3u8');
-          if (m3u8Idx !== -1) m3u8Path = m3u8Path.slice(0, m3u8Idx + 6);
-
-          const beforeUrl = queryParams.substring(0, queryParams.indexOf('&url='));
-          finalUrl = base + idPart + beforeUrl + urlBase + m3u8Path;
-        } else {
-          finalUrl = base + idPart + queryParams;
-        }
-      } else {
-        finalUrl = base + idPart + queryParams;
-      }
-
-    } else if (matchesIndexM3u8) {
-      let base = matchesIndexM3u8[1];
-      let m3u8 = matchesIndexM3u8[2];
-
-      const idxUp = m3u8.search(/[A-Z]/);
-      if (idxUp !== -1) m3u8 = m3u8.slice(0, idxUp);
-
-      const idxM3U8 = m3u8.indexOf('.m3u8');
-      if (idxM3U8 !== -1) m3u8 = m3u8.slice(0, idxM3U8 + 6);
-
-      finalUrl = base + m3u8;
-    }
-
-    if (!finalUrl) return null;
-
-    try {
-      const urlObj = new URL(finalUrl);
-      const idParam = urlObj.searchParams.get('id');
-      const urlParam = urlObj.searchParams.get('url');
-
-      if (idParam) {
-        const idParts = idParam.split('/');
-        if (idParts.length > 0) {
-          const videoHash = idParts[idParts.length - 1];
-          if (/[A-Z]/.test(videoHash)) return null;
-        }
-      }
-
-      if (urlParam) {
-        const urlParts = urlParam.split('/');
-        const lastPart = urlParts[urlParts.length - 1];
-        const videoHash = lastPart.replace('.m3u8', '');
-        if (/[A-Z]/.test(videoHash)) return null;
-      }
-    } catch (urlParseError) {
-      return null;
-    }
-
-    return finalUrl;
-
+    return matchUrlRule(url, rules)?.url || null;
   } catch (e) {
     return null;
   }
 }
 
-export function extractAll(text) {
+export function extractAll(text, rules = DEFAULT_URL_RULES) {
+  return unique(diagnoseExtraction(text, rules).filter(d => d.accepted).map(d => d.url));
+}
+
+// Every URL candidate found in the text and what the rules made of it:
+// { candidate, accepted: true, url } or { candidate, accepted: false, reason, detail }
+// (reason is a URL_REJECT_REASONS code). extractAll keeps the accepted ones.
+export function diagnoseExtraction(text, rules = DEFAULT_URL_RULES) {
   if (!text) return [];
 
+  const found = [];
   const urls = new Set();
+  const diagnose = (candidate) => {
+    try {
+      return diagnoseUrl(candidate, rules);
+    } catch (e) {
+      return { reason: "malformed", detail: e?.message || "" };
+    }
+  };
+  const reject = (candidate, { reason, detail }) => {
+    if (!found.some(f => f.candidate === candidate)) found.push({ candidate, accepted: false, reason, detail });
+  };
+
   const standardMatches = [...text.matchAll(/https?:\/\/[^\s"'<>()]+/gi)];
   standardMatches.forEach(m => {
-    const cleaned = sanitizeUrl(m[0]
+    const candidate = m[0]
       .replace(/[\u200B-\u200D\uFEFF]/g, "")
       .replace(/[),.;\]]+$/g, "")
-      .trim());
-    if (cleaned) urls.add(cleaned);
+      .trim();
+    const result = diagnose(candidate);
+    if (!result.url) return reject(candidate, result);
+    urls.add(result.url);
+    found.push({ candidate, accepted: true, url: result.url });
   });
 
   const domainPattern = /(?:^|[^a-zA-Z0-9.-])([a-zA-Z0-9][-a-zA-Z0-9]{0,61}[a-zA-Z0-9]?\.)+(?:com|net|org|io|co|idomoo)(?:\/[^\s]*)?/gi;
@@ -163,12 +107,19 @@ export function extractAll(text) {
 
   domainMatches.forEach(m => {
     let url = m[0].replace(/^[^a-zA-Z0-9]+/, "").replace(/[),.;\]]+$/g, "").trim();
+    const bare = url;
     if (!url.startsWith('http')) {
       url = 'https://' + url;
     }
 
-    const cleaned = sanitizeUrl(url);
-    if (!cleaned) return;
+    const result = diagnose(url);
+    if (!result.url) {
+      // Scheme-less matches are mostly the tail of a URL seen above, or a plain domain name;
+      // only a new address with a path is worth reporting
+      if (bare.includes('/') && !found.some(f => f.candidate.includes(bare))) reject(url, result);
+      return;
+    }
+    const cleaned = result.url;
 
     let shouldAdd = true;
     for (const existing of urls) {
@@ -180,23 +131,25 @@ export function extractAll(text) {
 
     if (shouldAdd && cleaned.includes('/')) {
       urls.add(cleaned);
+      found.push({ candidate: url, accepted: true, url: cleaned });
     }
   });
 
-  return [...urls];
+  return found;
 }
 
-// NEW: Extract specific idomoo MP4s from messy text
-export function extractIdomooMp4s(text) {
+// Extract Black Frames videos (idomoo MP4s by default) from messy text,
+// using the "find" patterns of the blackFrames rules to locate candidates
+export function extractIdomooMp4s(text, rules = DEFAULT_URL_RULES) {
   if (!text) return [];
-  // Regex: https://(anything).idomoo.com/(path).mp4
-  // We stop specifically at .mp4 to avoid grabbing subsequent text like "EU:Account..."
-  const regex = /https?:\/\/(?:[a-zA-Z0-9-]+\.)*idomoo\.com\/[a-zA-Z0-9\/._-]+\.mp4/gi;
-  const matches = [...text.matchAll(regex)].map(m => m[0]);
+  const groupRules = rulesForGroup(rules, "blackFrames");
+  const matches = findPatterns(groupRules)
+    .flatMap(re => [...text.matchAll(re)].map(m => sanitizeUrl(m[0], groupRules)))
+    .filter(Boolean);
   return unique(matches);
 }
 
-export function extractUrlsFromHtml(html) {
+export function extractUrlsFromHtml(html, rules = DEFAULT_URL_RULES) {
   if (!html) return [];
 
   try {
@@ -205,7 +158,7 @@ export function extractUrlsFromHtml(html) {
     return [...doc.querySelectorAll("a[href]")]
       .map(a => a.getAttribute("href"))
       .filter(Boolean)
-      .map(href => sanitizeUrl(href.trim()))
+      .map(href => sanitizeUrl(href.trim(), rules))
       .filter(Boolean);
   } catch (e) {
     console.warn("[Support Toolkit] Failed to parse HTML for URLs", e);
@@ -213,55 +166,43 @@ export function extractUrlsFromHtml(html) {
   }
 }
 
-// ===== GRAFANA PARSING LOGIC =====
-
-export function parseCompanyCount(raw) {
-  const lines = normalizeLines(raw);
-  if (!lines.length) return [];
-  const headA = (lines[0] || "").toLowerCase(), headB = (lines[1] || "").toLowerCase();
-  let start = 0;
-  if (headA === "company" && headB === "count") start = 2;
-  const rows = [];
-  for (let i = start; i < lines.length; i += 2) {
-    if (!lines[i]) break;
-    rows.push([lines[i], lines[i + 1] || ""]);
-  }
-  return rows;
-}
-
-export function looksLikeHeaderTriplet(a, b, c) {
-  if (!a || !b || !c) return false;
-  const A = a.toLowerCase(), B = b.toLowerCase(), C = c.toLowerCase();
-  return ((A.includes("player") && A.includes("version")) || (A.includes("version") && !/\d/.test(A)))
-    && (B.includes("description") || B.includes("error"))
-    && (C.includes("count") || C.includes("unique"));
-}
+// ===== GRAFANA OUTPUT =====
 
-export function parseVersionErrorCount(raw) {
-  const lines = normalizeLines(raw);
-  if (!lines.length) return [];
-  let start = 0;
-  if (looksLikeHeaderTriplet(lines[0], lines[1], lines[2])) start = 3;
-  const rows = [];
-  for (let i = start; i < lines.length; i += 3) {
-    const v = lines[i], e = lines[i + 1], c = lines[i + 2];
-    if (!v || !e || !c) break;
-    rows.push([v, e, c]);
-  }
-  return rows;
-}
+// Table parsing lives in grafana-parser.js; these turn parsed rows into clipboard formats
 
+// Tabs and line breaks inside a cell would start a new column/row in the sheet
 export function rowsToTSV(headers, rows) {
   const all = headers.length ? [headers, ...rows] : rows;
-  return all.map(r => r.join("\t")).join("\n");
+  const cell = (c) => String(c ?? "").replace(/\s*[\t\r\n]+\s*/g, " ");
+  return all.map(r => r.map(cell).join("\t")).join("\n");
 }
 
-export function tableToHTML(headers, rows) {
+// The original look: thin black borders, no header styling (see table-themes.js for the others)
+export const CLASSIC_TABLE_STYLE = {
+  table: "border-collapse:collapse;",
+  caption: "",
+  th: "border:1px solid #000;padding:6px 8px;text-align:left;",
+  td: "border:1px solid #000;padding:6px 8px;vertical-align:top;",
+  stripe: ""
+};
+
+// Everything is inlined so it survives pasting into Gmail/Docs. `rowStyles` adds CSS to every
+// cell of a row (highlighting), `cellStyles[row][col]` and `headerStyles[col]` to single cells.
+export function tableElementHTML(headers, rows, { style = CLASSIC_TABLE_STYLE, caption = "", rowStyles = [], cellStyles = [], headerStyles = [] } = {}) {
   const esc = escapeHtml;
+  const cap = caption ? `<caption style="${style.caption}">${esc(caption)}</caption>` : "";
   const th = headers.length
-    ? `<thead><tr>${headers.map(h => `<th style="border:1px solid #000;padding:6px 8px;text-align:left;">${esc(h)}</th>`).join("")}</tr></thead>` : "";
-  const tb = `<tbody>${rows.map(r => `<tr>${r.map(c => `<td style="border:1px solid #000;padding:6px 8px;vertical-align:top;">${esc(c)}</td>`).join("")}</tr>`).join("")}</tbody>`;
-  return `<!doctype html><html><body><table style="border-collapse:collapse;">${th}${tb}</table></body></html>`;
+    ? `<thead><tr>${headers.map((h, j) => `<th style="${style.th}${headerStyles[j] || ""}">${esc(h)}</th>`).join("")}</tr></thead>` : "";
+  const tb = `<tbody>${rows.map((r, i) => {
+    const rowStyle = (i % 2 ? style.stripe : "") + (rowStyles[i] || "");
+    return `<tr>${r.map((c, j) => `<td style="${style.td}${rowStyle}${cellStyles[i]?.[j] || ""}">${esc(c)}</td>`).join("")}</tr>`;
+  }).join("")}</tbody>`;
+  return `<table style="${style.table}">${cap}${th}${tb}</table>`;
+}
+
+// Standalone document for the clipboard's text/html flavor
+export function tableToHTML(headers, rows, options) {
+  return `<!doctype html><html><body>${tableElementHTML(headers, rows, options)}</body></html>`;
 }
 
 // ===== UI FORMATTING =====